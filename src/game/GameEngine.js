@@ -1,17 +1,29 @@
 
 import { Player } from './classes/Player.js';
 import { WorldManager } from './classes/WorldManager.js';
+import { NPC } from './classes/NPC.js';
 import { CombatManager } from './classes/CombatManager.js';
 import { CommandManager } from './classes/CommandManager.js';
 import { TickManager } from './classes/TickManager.js';
+import { ZoneResetManager } from './classes/ZoneResetManager.js';
 import { ConsiderationManager } from './classes/ConsiderationManager.js';
 import { SuggestionGenerator } from './classes/SuggestionGenerator.js';
 import { SaveManager } from './classes/SaveManager.js';
 import { MessageFormatter } from './utils/MessageFormatter.js';
 import { ActionGenerator } from './classes/ActionGenerator.js';
+import { SkillManager } from './classes/SkillManager.js';
+import { StatusEffectManager } from './classes/StatusEffectManager.js';
+import { TargetSpec } from './utils/targetSpec.js';
+import { RussianMorphology } from './utils/russianMorphology.js';
+import { FuzzyMatcher } from './utils/fuzzyMatcher.js';
 import skillsJson from './data/skills.json';
 import commands from './commands/index.js';
 
+/** Предлоги, отделяющие предмет от контейнера в командах get/put. */
+const CONTAINER_PREPOSITIONS = ['из', 'в', 'from', 'in', 'into'];
+/** Время до распада трупа игрока (в тиках). */
+const PLAYER_CORPSE_DECAY_TICKS = 600;
+
 /**
  * Основной игровой движок.
  * Управляет состоянием игры, обработкой команд и всей игровой логикой. Является центральным координатором для всех менеджеров.
@@ -25,6 +37,14 @@ export class GameEngine {
    */
   colorize = (text, className) => `<span class="${className}">${text}</span>`;
 
+  /**
+   * Возвращает название предмета или NPC в нужном падеже ("Вы атакуете крысу").
+   * @param {{name: string, forms?: object}} entity - Предмет или NPC.
+   * @param {'nominative'|'genitive'|'dative'|'accusative'|'instrumental'|'prepositional'} grammaticalCase - Падеж.
+   * @returns {string}
+   */
+  decline = (entity, grammaticalCase) => RussianMorphology.decline(entity, grammaticalCase);
+
   constructor() {
     /** @type {Player} Экземпляр класса игрока. */
     this.player = new Player();
@@ -34,6 +54,8 @@ export class GameEngine {
     this.commandManager = new CommandManager(this);
     /** @type {TickManager} Менеджер для обработки событий, происходящих с течением времени. */
     this.tickManager = new TickManager(this);
+    /** @type {ZoneResetManager} Менеджер сброса зон (возрождение NPC, предметы в комнатах, двери). */
+    this.zoneResetManager = new ZoneResetManager(this);
     /** @type {ConsiderationManager} Менеджер для оценки целей. */
     this.considerationManager = new ConsiderationManager(this);
     /** @type {SuggestionGenerator} Генератор подсказок для ввода команд. */
@@ -44,6 +66,10 @@ export class GameEngine {
     this.saveManager = new SaveManager(this);
     /** @type {ActionGenerator} Генератор доступных действий для UI. */
     this.actionGenerator = new ActionGenerator(this);
+    /** @type {SkillManager} Менеджер для применения умений. */
+    this.skillManager = new SkillManager(this);
+    /** @type {StatusEffectManager} Менеджер эффектов (усиления, ослабления, яды). */
+    this.statusEffectManager = new StatusEffectManager(this);
 
     /** @type {Map<string, object>} Карта данных об умениях, где ключ - ID умения. */
     this.skillsData = new Map(); // Карта умений, ключ - ID умения
@@ -71,13 +97,14 @@ export class GameEngine {
   }
 
   /**
-   * Загружает данные об умениях из JSON файла.
+   * Загружает данные об умениях из JSON файла и регистрирует команды для активных умений.
    */
   async initializeSkills() {
     try {
       for (const [id, data] of Object.entries(skillsJson)) {
         this.skillsData.set(id, { id, ...data });
       }
+      this.skillManager.registerSkillCommands();
     } catch (error) {
       console.error('Ошибка при загрузке умений:', error);
     }
@@ -110,7 +137,7 @@ export class GameEngine {
    * @returns {Promise<string|null>} Результат выполнения команды в виде HTML-форматированной строки или null.
    */
   async processCommand(input) {
-    const result = await this.commandManager.execute(input);
+    const result = await this.commandManager.executeLine(input);
     
     // Добавляем команду и результат в историю
     this.messageHistory.push(`> ${input}`);
@@ -165,28 +192,63 @@ export class GameEngine {
 
     const traderAreaId = trader.area;
     const shopItems = trader.getShopItems(); // Это локальные ID
-    const target = targetName.toLowerCase();
-
-    const localItemId = shopItems.find(id => {
-      const item = this.getItem(id, traderAreaId);
-      return item && (item.name.toLowerCase().includes(target) || item.id.toLowerCase().includes(target));
-    });
+    const localItemId = new TargetSpec(targetName).selectOne(shopItems, id => this.getItem(id, traderAreaId));
 
     return localItemId ? this.getItem(localItemId, traderAreaId) : null;
   }
 
   /**
-   * Начинает бой с указанным NPC.
+   * Начинает бой с указанным NPC. Если бой уже идет, NPC вступает в него и становится целью игрока.
    * @param {import('./classes/NPC').NPC} npc - Цель для атаки.
-   * @returns {void}
+   * @returns {string} Сообщение о смене цели или пустая строка (сообщения нового боя приходят через `onMessage`).
    */
   startCombat(npc) {
     if (this.combatManager) {
-      if (this.onMessage) this.onMessage('Вы уже в бою!');
-      return;
+      return this.combatManager.setTarget(npc);
     }
     this.combatManager = new CombatManager(this, this.player, npc);
     this.combatManager.start();
+    return '';
+  }
+
+  /**
+   * Проверяет, есть ли в комнате игрока агрессивные NPC, и если есть - они нападают.
+   * Если бой уже идет, агрессоры вступают в него.
+   * @returns {string} Сообщение о нападении или пустая строка.
+   */
+  checkAggression() {
+    if (this.player.state === 'dead') return '';
+    const currentRoom = this.getCurrentRoom();
+    if (!currentRoom) return '';
+
+    const aggressors = currentRoom.npcs
+      .map(localNpcId => this.getNpc(localNpcId, currentRoom.area))
+      .filter(npc => npc && npc.isAggressiveTowards(this.player)
+        && !this.combatManager?.opponents.includes(npc));
+    if (aggressors.length === 0) return '';
+
+    if (this.combatManager) {
+      return aggressors.map(npc => this.combatManager.engage(npc)).join('\n');
+    }
+    // Нападение застает отдыхающего игрока врасплох
+    const wakeMessage = this.player.isResting() ? this.colorize('Вы вскакиваете на ноги!', 'combat-npc-attack') + '\n' : '';
+    this.combatManager = new CombatManager(this, this.player, aggressors[0]);
+    return wakeMessage + this.combatManager.ambush(aggressors);
+  }
+
+  /**
+   * Обрабатывает гибель игрока: вещи из сумки остаются в трупе на месте гибели.
+   * Вызывается из всех путей, где игрок может погибнуть (бой, урон от эффектов).
+   * @returns {string} Сообщение о трупе или пустая строка, если сумка была пуста.
+   */
+  handlePlayerDeath() {
+    const deathRoom = this.world.rooms.get(this.player.deathRoom);
+    if (!deathRoom || this.player.inventory.length === 0) return '';
+
+    const corpse = this.world.createCorpse(this.player.name, this.player.inventory, PLAYER_CORPSE_DECAY_TICKS);
+    deathRoom.addItem(corpse.globalId);
+    this.player.inventory = [];
+    return this.colorize(`Ваши вещи остались в трупе (${deathRoom.name}).`, 'npc-dead');
   }
 
   /**
@@ -222,10 +284,9 @@ export class GameEngine {
 
     const hostilesByDirection = [];
 
-    for (const [direction, exit] of currentRoom.exits.entries()) {
-      const targetRoomId = (typeof exit === 'object')
-        ? this.world.getGlobalId(exit.room, exit.area)
-        : this.world.getGlobalId(exit, currentRoom.area);
+    // Сквозь закрытые двери не видно
+    for (const direction of currentRoom.getPassableExits()) {
+      const targetRoomId = this.world.getExitRoomId(currentRoom, currentRoom.getExit(direction));
 
       const targetRoom = this.world.rooms.get(targetRoomId);
       if (!targetRoom) continue;
@@ -274,7 +335,7 @@ export class GameEngine {
     // 2. Ищем предмет в текущей комнате
     const globalItemId = currentRoom.findItem(lowerTargetName, this);
     if (globalItemId) {
-      item = this.world.items.get(globalItemId);
+      item = this.world.getItemInstance(globalItemId);
       if (item) return { type: 'item', entity: item };
     }
 
@@ -294,6 +355,79 @@ export class GameEngine {
     return null; // Цель не найдена
   }
 
+  /**
+   * Собирает все, что игрок может назвать целью: инвентарь, предметы в комнате и живых NPC рядом.
+   * @returns {object[]} Экземпляры предметов и NPC.
+   */
+  getVisibleEntities() {
+    const currentRoom = this.getCurrentRoom();
+    if (!currentRoom) return [...this.player.inventory];
+    const roomItems = currentRoom.items.map(globalId => this.world.getItemInstance(globalId));
+    const roomNpcs = currentRoom.npcs.map(localId => this.getNpc(localId, currentRoom.area)).filter(npc => npc?.isAlive());
+    return [...this.player.inventory, ...roomItems, ...roomNpcs].filter(Boolean);
+  }
+
+  /**
+   * Подсказывает похожие цели, если игрок опечатался в названии или раскладке.
+   * @param {string} target - Цель, которую не удалось найти.
+   * @param {object[]} [entities] - Среди кого искать (по умолчанию - все видимые игроку сущности).
+   * @returns {string} Подсказка вида " Возможно, вы имели в виду: крыса?" или пустая строка.
+   */
+  suggestTargets(target, entities = this.getVisibleEntities()) {
+    const similar = FuzzyMatcher.suggestEntities(target, entities);
+    if (similar.length === 0) return '';
+    const names = similar.map(entity => entity instanceof NPC
+      ? this.colorize(entity.name, `npc-name npc-${entity.type}`)
+      : this.colorize(entity.name, 'item-name'));
+    return ` Возможно, вы имели в виду: ${names.join(', ')}?`;
+  }
+
+  /**
+   * Находит контейнер по имени: сначала в инвентаре игрока, затем в текущей комнате.
+   * @param {string} containerName - Имя контейнера (может быть частичным).
+   * @returns {object|null} Экземпляр контейнера или null.
+   */
+  findContainer(containerName) {
+    const spec = new TargetSpec(containerName);
+    const roomContainers = this.getCurrentRoom().items
+      .map(globalId => this.world.getItemInstance(globalId))
+      .filter(item => item?.contents);
+    return spec.selectOne(this.player.getCarriedContainers())
+      ?? spec.selectOne(roomContainers)
+      ?? null;
+  }
+
+  /**
+   * Находит дверь в текущей комнате по направлению выхода или названию двери.
+   * @param {string} target - Направление ("вверх") или название двери (может быть частичным).
+   * @returns {{direction: string, door: import('./classes/Room.js').Door}|null}
+   */
+  findDoor(target) {
+    const currentRoom = this.getCurrentRoom();
+    const doorDirections = currentRoom.getExits().filter(direction => currentRoom.getDoor(direction));
+    const direction = doorDirections.find(candidate => candidate === target.toLowerCase())
+      ?? doorDirections.find(candidate => RussianMorphology.matches(currentRoom.getDoor(candidate), target));
+    return direction ? { direction, door: currentRoom.getDoor(direction) } : null;
+  }
+
+  /**
+   * Разбирает аргументы вида "<предмет> [из|в] <контейнер>" и ищет контейнер.
+   * Перебирает варианты разбиения с конца, чтобы названия из нескольких слов работали с обеих сторон.
+   * @param {string[]} args - Аргументы команды.
+   * @returns {{itemName: string, container: object}|null}
+   */
+  findContainerTarget(args) {
+    for (let split = args.length - 1; split >= 1; split--) {
+      const itemArgs = args.slice(0, split);
+      if (CONTAINER_PREPOSITIONS.includes(itemArgs[itemArgs.length - 1])) itemArgs.pop();
+      if (itemArgs.length === 0) continue;
+
+      const container = this.findContainer(args.slice(split).join(' '));
+      if (container) return { itemName: itemArgs.join(' ').toLowerCase(), container };
+    }
+    return null;
+  }
+
   /**
    * Получает текущую локацию игрока
    * @returns {import('./classes/Room.js').Room|undefined} Объект текущей локации или undefined, если не найден.
@@ -303,10 +437,10 @@ export class GameEngine {
   }
 
   /**
-   * Получает предмет по ID
+   * Получает шаблон предмета по ID
    * @param {string} localId - Локальный ID предмета
    * @param {string} areaId - ID зоны, в которой находится предмет
-   * @returns {object|null} Данные предмета или null, если не найден.
+   * @returns {object|null} Данные шаблона или null, если не найден.
    */
   getItem(localId, areaId) {
     return this.world.getItem(localId, areaId);
@@ -335,6 +469,8 @@ export class GameEngine {
       this.combatManager.stop();
     }
     this.tickManager.reset();
+    this.zoneResetManager.reset();
+    this.commandManager.clearQueue();
   }
   /**
    * Сохранение игры в localStorage
@@ -378,6 +514,7 @@ export class GameEngine {
     
     // Начинаем в центре города
     this.player.currentRoom = 'midgard:center';
+    this.player.markVisited(this.player.currentRoom);
     const welcomeMessage = `Добро пожаловать в Мидгард, ${playerName}!
 
 ${this.getCurrentRoom().getFullDescription(this)}
@@ -398,16 +535,26 @@ ${this.getCurrentRoom().getFullDescription(this)}
   }
 
   /**
-   * Получает список доступных для перехода комнат из текущей локации
+   * Получает список доступных для перехода комнат из текущей локации (закрытые двери не пропускают)
    * @returns {string[]} Массив глобальных ID комнат.
    */
   getAvailableRooms() {
     const currentRoom = this.getCurrentRoom();
     if (!currentRoom) return [];
 
-    const [currentAreaId, ] = this.world.parseGlobalId(this.player.currentRoom);
+    return currentRoom.getPassableExits().map(direction => this.world.getExitRoomId(currentRoom, currentRoom.getExit(direction)));
+  }
+
+  /**
+   * Возвращает направления, куда игрока можно увести из боя (бегство, отпугивание):
+   * без закрытых дверей и без стражей, которые его не пропустят.
+   * @returns {string[]}
+   */
+  getEscapeExits() {
+    const currentRoom = this.getCurrentRoom();
+    if (!currentRoom) return [];
 
-    return Array.from(currentRoom.exits.values()).map(exit => (typeof exit === 'string' ? this.world.getGlobalId(exit, currentAreaId) : this.world.getGlobalId(exit.room, exit.area)));
+    return currentRoom.getPassableExits().filter(direction => !currentRoom.getGuard(direction)?.blocks(this, currentRoom));
   }
 
   /**
@@ -423,6 +570,10 @@ ${this.getCurrentRoom().getFullDescription(this)}
     if (this.player.state === 'dead') {
       return { success: false, message: 'Вы мертвы и не можете двигаться.' };
     }
+    const restingRefusal = this.player.getRestingRefusal();
+    if (restingRefusal) {
+      return { success: false, message: restingRefusal };
+    }
 
     const [targetAreaId] = this.world.parseGlobalId(targetRoomId);
     if (!this.world.loadedAreaIds.has(targetAreaId)) {
@@ -430,23 +581,30 @@ ${this.getCurrentRoom().getFullDescription(this)}
       await this.world.loadArea(targetAreaId);
     }
 
+    const currentRoom = this.getCurrentRoom();
     // Если направление не было передано (например, при клике на карту), пробуем найти его.
     if (direction === 'куда-то') {
-      const currentRoom = this.getCurrentRoom();
-      for (const [dir, exit] of currentRoom.exits.entries()) {
-        const exitGlobalId = (typeof exit === 'object')
-          ? this.world.getGlobalId(exit.room, exit.area)
-          : this.world.getGlobalId(exit, currentRoom.area);
-        if (exitGlobalId === targetRoomId) {
-          direction = dir;
-          break;
-        }
-      }
+      direction = currentRoom.getExits()
+        .find(dir => this.world.getExitRoomId(currentRoom, currentRoom.getExit(dir)) === targetRoomId) ?? direction;
+    }
+
+    const door = currentRoom.getDoor(direction);
+    if (door && door.state !== 'open') {
+      return { success: false, message: `Проход ${direction} закрыт (${door.name}).` };
+    }
+    const guardResult = currentRoom.getGuard(direction)?.tryPass(this, currentRoom);
+    if (guardResult && !guardResult.allowed) {
+      return { success: false, message: guardResult.message };
     }
 
     this.player.currentRoom = targetRoomId;
+    this.player.markVisited(targetRoomId);
     const newRoom = this.getCurrentRoom();
-    return { success: true, message: `${this.colorize(`Вы идете ${direction}.`, 'info-label')}\n\n${newRoom.getFullDescription(this)}` };
+    let message = `${this.colorize(`Вы идете ${direction}.`, 'info-label')}\n\n${newRoom.getFullDescription(this)}`;
+    if (guardResult?.message) message = `${guardResult.message}\n${message}`;
+    const aggressionMessage = this.checkAggression();
+    if (aggressionMessage) message += `\n\n${aggressionMessage}`;
+    return { success: true, message };
   }
 
   /**
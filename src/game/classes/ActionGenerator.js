@@ -1,3 +1,6 @@
+/** Слова в описании комнаты, намекающие на тайник. */
+const SUSPICIOUS_DESCRIPTION = /подозрительн|странн|тайн|потайн|шата/i;
+
 /**
  * @class ActionGenerator
  * @description Генерирует список доступных действий для игрока в текущей комнате.
@@ -29,6 +32,9 @@ export class ActionGenerator {
       { label: '💾 Сохранить', command: 'save' },
       { label: '❓ Помощь', command: 'help' }
     ];
+    if (SUSPICIOUS_DESCRIPTION.test(currentRoom.description)) {
+      baseActions.splice(1, 0, { label: '🔍 Обыскать', command: 'search' });
+    }
     groupedActions.push({ isGeneral: true, actions: baseActions });
 
     // --- Действия, которые не привязаны к конкретному NPC, но зависят от их наличия ---
@@ -49,9 +55,23 @@ export class ActionGenerator {
 
     // --- Группировка действий по каждому предмету ---
     currentRoom.items
-      .map(globalItemId => this.game.world.items.get(globalItemId))
+      .map(globalItemId => this.game.world.getItemInstance(globalItemId))
       .filter(Boolean)
       .forEach(item => {
+        // Из контейнера (например, трупа или сундука) берут содержимое, а не сам контейнер
+        if (item.contents) {
+          const containerActions = item.locked
+            ? [{ label: `🔓 Отпереть`, command: `unlock ${item.name}` }]
+            : item.contents.map(content => ({ label: `✋ Взять ${content.name}`, command: `get ${content.name} ${item.name}` }));
+          if (item.canTake) {
+            containerActions.push({ label: `✋ Взять`, command: `get ${item.name}` });
+          }
+          groupedActions.push({
+            target: { name: item.name, type: 'item-name' },
+            actions: [{ label: `👁️ Осмотреть`, command: `look ${item.name}` }, ...containerActions]
+          });
+          return;
+        }
         groupedActions.push({
           target: { name: item.name, type: 'item-name' },
           actions: [
@@ -62,6 +82,24 @@ export class ActionGenerator {
         });
       });
 
+    // --- Двери на выходах ---
+    for (const direction of currentRoom.getExits()) {
+      const door = currentRoom.getDoor(direction);
+      if (!door) continue;
+      const doorActions = door.state === 'open'
+        ? [{ label: '🚪 Закрыть', command: `close ${direction}` }]
+        : door.state === 'closed'
+          ? [{ label: '🚪 Открыть', command: `open ${direction}` }]
+          : [{ label: '🔓 Отпереть', command: `unlock ${direction}` }];
+      if (door.state === 'locked' && door.pickDifficulty) {
+        doorActions.push({ label: '🗝️ Взломать', command: `pick ${direction}` });
+      }
+      groupedActions.push({
+        target: { name: `${door.name} (${direction})`, type: 'exit-name' },
+        actions: doorActions
+      });
+    }
+
     // --- Группировка действий по каждому NPC ---
     for (const npc of npcsInRoom) {
       const specificNpcActions = [];
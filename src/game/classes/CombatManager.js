@@ -1,31 +1,66 @@
+import { AttackRoll } from '../utils/attackRoll.js';
+
+/** Пауза между раундами боя (мс). */
+const ROUND_DELAY = 2500;
+/** Радиус (в комнатах), с которого защитники зоны прибегают на шум боя. */
+const ASSIST_RADIUS = 2;
+/** Время до распада трупа NPC (в тиках). */
+const CORPSE_DECAY_TICKS = 120;
+
 /**
  * @class CombatManager
  * @description Управляет логикой одного боевого столкновения.
+ * В бою может участвовать несколько противников: каждый из них атакует игрока раз в раунд,
+ * а игрок бьет свою текущую цель (`npc`). Список угрозы (`threat`) определяет,
+ * на кого игрок переключится после гибели или бегства цели.
  */
 export class CombatManager {
   /**
    * @param {import('../GameEngine').GameEngine} game - Экземпляр игрового движка.
    * @param {import('./Player').Player} player - Экземпляр игрока.
-   * @param {import('./NPC').NPC} npc - NPC, с которым идет бой.
+   * @param {import('./NPC').NPC} npc - NPC, с которым начинается бой (первая цель игрока).
    */
   constructor(game, player, npc) {
     this.game = game;
     this.player = player;
+    /** @type {import('./NPC').NPC} Текущая цель игрока. */
     this.npc = npc;
+    /** @type {import('./NPC').NPC[]} Все противники, участвующие в бою. */
+    this.opponents = [npc];
+    /** @type {Map<import('./NPC').NPC, number>} Угроза: сколько урона игрок нанес каждому противнику. */
+    this.threat = new Map([[npc, 1]]);
     this.combatTimeout = null;
     this.isOver = false;
   }
 
   /**
-   * Начинает бой.
+   * Начинает бой по инициативе игрока. Союзники цели вступаются за нее.
    */
   start() {
     this.player.state = 'fighting';
-    const initialAttackMessage = `Вы атакуете ${this.game.colorize(this.npc.name, `npc-name npc-${this.npc.type}`)}!`;
+    const initialAttackMessage = `Вы атакуете ${this._name(this.npc, 'accusative')}!` + this._callForHelp(this.npc);
     if (this.game.onMessage) this.game.onMessage(initialAttackMessage);
     this._loop();
   }
 
+  /**
+   * Начинает бой, в котором первыми напали NPC. Первый раунд наступает после обычной паузы,
+   * чтобы игрок успел осмотреться.
+   * @param {import('./NPC').NPC[]} aggressors - Напавшие NPC (первый из них становится целью игрока).
+   * @returns {string} Сообщение о нападении.
+   */
+  ambush(aggressors) {
+    this.player.state = 'fighting';
+    let message = '';
+    for (const npc of aggressors) {
+      this.engage(npc);
+      message += '\n' + this.game.colorize(`${this._name(npc)} нападает на вас!`, 'combat-npc-attack');
+    }
+    message += this._callForHelp(this.npc);
+    this._scheduleNextRound();
+    return message.trim();
+  }
+
   /**
    * Завершает бой.
    */
@@ -45,10 +80,52 @@ export class CombatManager {
     this.player.nextAttackIsSkill = null;
     this.player.skillUsedThisRound = false;
 
+    // Эффекты, измеряемые в раундах, действуют только в пределах одного боя
+    this._clearRoundEffects(this.player);
+    this.opponents.forEach(npc => this._clearRoundEffects(npc));
+
     // Сообщаем движку, что бой окончен
     this.game.stopCombat();
   }
 
+  /**
+   * Добавляет NPC в список противников.
+   * @param {import('./NPC').NPC} npc - Новый участник боя.
+   * @returns {string} Сообщение о вступлении в бой или пустая строка, если NPC уже сражается.
+   */
+  engage(npc) {
+    if (this.opponents.includes(npc)) return '';
+    this.opponents.push(npc);
+    this.threat.set(npc, 0);
+    return this.game.colorize(`${this._name(npc)} вступает в бой!`, 'combat-npc-attack');
+  }
+
+  /**
+   * Переключает цель игрока. Если NPC еще не участвует в бою, он вступает в него.
+   * @param {import('./NPC').NPC} npc - Новая цель.
+   * @returns {string} Сообщение о результате.
+   */
+  setTarget(npc) {
+    if (npc === this.npc) {
+      return `Вы и так сражаетесь с ${this._name(npc, 'instrumental')}.`;
+    }
+    const engageMessage = this.engage(npc);
+    this.npc = npc;
+    const message = `Вы переключаетесь на ${this._name(npc, 'accusative')}.`;
+    // За нового противника вступаются его союзники
+    return engageMessage ? `${engageMessage}${this._callForHelp(npc)}\n${message}` : message;
+  }
+
+  /**
+   * Возвращает живых противников, отсортированных по угрозе (сначала самые опасные для них).
+   * @returns {import('./NPC').NPC[]}
+   */
+  getOpponents() {
+    return this.opponents
+      .filter(npc => npc.isAlive())
+      .sort((a, b) => (this.threat.get(b) || 0) - (this.threat.get(a) || 0));
+  }
+
   /**
    * Внутренний цикл боя.
    * @private
@@ -60,112 +137,160 @@ export class CombatManager {
     if (this.game.onMessage) this.game.onMessage(roundResult);
 
     if (!this.isOver) {
-      this.combatTimeout = setTimeout(() => this._loop(), 2500);
+      this._scheduleNextRound();
     }
   }
 
   /**
-   * Выполняет один раунд боя.
+   * Планирует следующий раунд боя.
+   * @private
+   */
+  _scheduleNextRound() {
+    this.combatTimeout = setTimeout(() => this._loop(), ROUND_DELAY);
+  }
+
+  /**
+   * Выполняет один раунд боя: игрок атакует текущую цель, затем ходит каждый противник.
    * @returns {Promise<string>} - Сообщение с результатом раунда.
    */
   async performCombatRound() {
+    let result = '';
+
+    // Противники, погибшие вне хода игрока (например, от яда), выбывают из боя
+    for (const npc of this.opponents.filter(opponent => !opponent.isAlive())) {
+      result += this._handleNpcDeath(npc);
+    }
+    if (this.isOver) {
+      return result || 'Цель уже повержена.';
+    }
     if (!this.npc.isAlive()) {
       this.stop();
       return 'Цель уже повержена.';
     }
 
     this.player.skillUsedThisRound = false;
-    let result = '';
 
     // --- Ход игрока ---
+    const target = this.npc;
     const usedSkillId = this.player.nextAttackIsSkill;
-    const playerDamage = this._calculatePlayerDamage(usedSkillId);
     this.player.nextAttackIsSkill = null;
 
-    let attackMessage = 'Вы наносите';
-    if (usedSkillId) {
-      const skillData = this.game.skillsData.get(usedSkillId);
-      attackMessage = skillData
-        ? `Вы используете "${skillData.name}" и наносите`
-        : `Вы пытаетесь использовать неизвестное умение и наносите`;
-    }
+    const usedSkill = usedSkillId ? this.game.skillsData.get(usedSkillId) : null;
+    const npcDative = this._name(target, 'dative');
 
-    const npcAlive = this.npc.takeDamage(playerDamage);
-    result += ' \n' + this.game.colorize(`${attackMessage} ${playerDamage} урона ${this.game.colorize(this.npc.name, `npc-name npc-${this.npc.type}`)}.`, 'combat-player-attack');
-
-    if (npcAlive) {
-      const npcHealthPercent = Math.round((this.npc.hitPoints / this.npc.maxHitPoints) * 100);
-      result += '\n' + this.game.colorize(`У ${this.game.colorize(this.npc.name, `npc-name npc-${this.npc.type}`)} осталось ${npcHealthPercent}% здоровья.`, 'combat-player-hp');
+    let npcAlive = true;
+    if (this.player.isStunned()) {
+      // Оглушенный игрок пропускает ход, подготовленное умение пропадает
+      result += ' \n' + this.game.colorize('Вы оглушены и пропускаете ход!', 'combat-npc-attack');
+    } else if (usedSkill?.effect?.type === 'debuff') {
+      // Ослабляющее умение заменяет обычную атаку в этом раунде
+      result += ' \n' + this.game.skillManager.applyDebuff(usedSkill, target);
+      this._addThreat(target, 1);
     } else {
-      // НПС умер
-      result += '\n' + this.game.colorize(`${this.game.colorize(this.npc.name, `npc-name npc-${this.npc.type}`)} повержен!`, 'combat-npc-death');
-
-      if (this.npc.experience > 0) {
-        const levelUpMessage = this.player.addExperience(this.npc.experience);
-        result += '\n' + this.game.colorize(`Вы получили ${this.npc.experience} опыта.`, 'combat-exp-gain');
-        if (levelUpMessage) {
-          result += '\n' + this.game.colorize(levelUpMessage.message, 'combat-exp-gain');
-          const newSkillMessage = this.game.checkAndAwardSkills();
-          if (newSkillMessage) {
-            result += '\n' + this.game.colorize(newSkillMessage, 'combat-exp-gain');
-          }
+      const attack = this._rollAttack(this.player.getAttackBonus(), target.getTotalDefense());
+      const skillPrefix = usedSkill ? `Вы используете "${usedSkill.name}", но ` : '';
+
+      if (attack.fumble) {
+        result += ' \n' + this.game.colorize(`${skillPrefix}${usedSkill ? 'неуклюже' : 'Вы неуклюже'} промахиваетесь и едва не теряете равновесие!`, 'combat-player-miss');
+      } else if (!attack.hit) {
+        result += ' \n' + this.game.colorize(`${skillPrefix}${usedSkill ? 'промахиваетесь' : 'Вы промахиваетесь'} по ${npcDative}.`, 'combat-player-miss');
+      } else {
+        let playerDamage = this._calculatePlayerDamage(usedSkillId);
+        if (attack.critical) {
+          playerDamage *= AttackRoll.CRITICAL_MULTIPLIER;
         }
-      }
 
-      const drops = this.npc.getDeathDrops();
-      if (drops.length > 0) {
-        const currentRoom = this.game.getCurrentRoom();
-        drops.forEach(localItemId => { 
-          const globalItemId = this.game.world.getGlobalId(localItemId, this.npc.area);
-          currentRoom.addItem(globalItemId);
-        });
-        result += `\n${this.game.colorize(this.npc.name, `npc-name npc-${this.npc.type}`)} что-то оставил.`;
-      }
+        let attackMessage = 'Вы наносите';
+        if (usedSkillId) {
+          attackMessage = usedSkill
+            ? `Вы используете "${usedSkill.name}" и наносите`
+            : `Вы пытаетесь использовать неизвестное умение и наносите`;
+        }
+        if (attack.critical) {
+          attackMessage = `Критический удар! ${attackMessage}`;
+        }
 
-      const deadNpcGlobalId = this.game.world.getGlobalId(this.npc.id, this.npc.area);
-      const deadNpcRoomId = this.player.currentRoom;
-      this.game.getCurrentRoom().removeNpc(this.npc.id);
-      this.game.world.npcLocationMap.delete(deadNpcGlobalId);
-      this.game.tickManager.scheduleNpcRespawn(deadNpcGlobalId, deadNpcRoomId);
+        npcAlive = target.takeDamage(playerDamage);
+        this._addThreat(target, playerDamage);
+        result += ' \n' + this.game.colorize(`${attackMessage} ${playerDamage} урона ${npcDative}.`, 'combat-player-attack');
+      }
+    }
 
+    // Раундовые эффекты игрока (например, "Слепая ярость") отсчитываются после его хода
+    for (const message of this.game.statusEffectManager.tickEntity(this.player, 'round')) {
+      result += '\n' + message;
+    }
+    if (!this.player.isAlive()) {
       this.stop();
       return result;
     }
 
+    if (npcAlive) {
+      const npcHealthPercent = Math.round((target.hitPoints / target.maxHitPoints) * 100);
+      result += '\n' + this.game.colorize(`У ${this._name(target, 'genitive')} осталось ${npcHealthPercent}% здоровья.`, 'combat-player-hp');
+    } else {
+      result += this._handleNpcDeath(target);
+      if (this.isOver) {
+        return result;
+      }
+    }
+
     // --- Ход НПС ---
+    for (const npc of [...this.opponents]) {
+      result += await this._performNpcTurn(npc);
+      if (this.isOver) {
+        return result;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Выполняет ход одного противника.
+   * @param {import('./NPC').NPC} npc - Противник.
+   * @returns {Promise<string>} Сообщения о ходе (каждое с новой строки).
+   * @private
+   */
+  async _performNpcTurn(npc) {
+    let result = '';
+    const npcName = this._name(npc);
+
     // 1. Проверка на бегство
-    if (this.npc.fleesAtPercent > 0 && (this.npc.hitPoints / this.npc.maxHitPoints) <= this.npc.fleesAtPercent) {
+    if (npc.fleesAtPercent > 0 && (npc.hitPoints / npc.maxHitPoints) <= npc.fleesAtPercent) {
       const currentRoom = this.game.getCurrentRoom();
-      const exits = currentRoom.getExits();
+      const exits = currentRoom.getPassableExits();
       if (exits.length > 0) {
         const randomExitDirection = exits[Math.floor(Math.random() * exits.length)];
-        const exit = currentRoom.getExit(randomExitDirection);
-        if (typeof exit === 'string') {
-          const targetRoomId = this.game.world.getGlobalId(exit, currentRoom.area);
-          const targetRoom = this.game.world.rooms.get(targetRoomId);
-          currentRoom.removeNpc(this.npc.id);
-          targetRoom.addNpc(this.npc.id);
-          result += '\n' + this.game.colorize(`${this.npc.name} в страхе сбегает!`, 'combat-npc-death');
-          this.stop();
-          return result;
+        const targetRoomId = this.game.world.getExitRoomId(currentRoom, currentRoom.getExit(randomExitDirection));
+        const targetRoom = this.game.world.rooms.get(targetRoomId);
+        // NPC сбегает только в пределах своей зоны
+        if (targetRoom?.area === currentRoom.area) {
+          currentRoom.removeNpc(npc.id);
+          targetRoom.addNpc(npc.id);
+          result += '\n' + this.game.colorize(`${npc.name} в страхе сбегает!`, 'combat-npc-death');
+          return result + this._removeOpponent(npc);
         }
       }
     }
 
-    // 2. Проверка на спецспособности
-    if (this.npc.specialAbilities && this.npc.specialAbilities.length > 0) {
-      for (const ability of this.npc.specialAbilities) {
+    // 2. Оглушенный НПС пропускает ход
+    if (npc.isStunned()) {
+      result += '\n' + this.game.colorize(`${npcName} оглушен и пропускает ход.`, 'combat-player-attack');
+      return result + this._tickNpcRoundEffects(npc);
+    }
+
+    // 3. Проверка на спецспособности
+    if (npc.specialAbilities && npc.specialAbilities.length > 0) {
+      for (const ability of npc.specialAbilities) {
         if (Math.random() < ability.chance) {
           if (ability.name === 'bark') {
             const currentRoom = this.game.getCurrentRoom();
-            const exits = currentRoom.getExits();
+            // Отпугнуть игрока можно только туда, куда его пропустят: иначе бой закончился бы без бегства
+            const exits = this.game.getEscapeExits();
             if (exits.length === 0) continue;
 
             const randomExitDirection = exits[Math.floor(Math.random() * exits.length)];
-            const exit = currentRoom.getExit(randomExitDirection);
-            const targetRoomId = (typeof exit === 'object')
-              ? this.game.world.getGlobalId(exit.room, exit.area)
-              : this.game.world.getGlobalId(exit, currentRoom.area);
+            const targetRoomId = this.game.world.getExitRoomId(currentRoom, currentRoom.getExit(randomExitDirection));
 
             result += '\n' + this.game.colorize(ability.message, 'combat-npc-attack');
             this.stop(); // Останавливаем бой
@@ -173,23 +298,194 @@ export class CombatManager {
             result += `\n\n${moveResult.message}`;
             return result;
           }
+          if (ability.name === 'apply_effect' && !this.player.hasStatusEffect(ability.effect)) {
+            // Способность накладывает на игрока эффект (яд, оглушение) вдобавок к обычной атаке
+            if (this.game.statusEffectManager.apply(this.player, ability.effect)) {
+              result += '\n' + this.game.colorize(ability.message, 'combat-npc-attack');
+            }
+          }
         }
       }
     }
 
-    // 3. Обычная атака НПС
-    const npcDamage = this.npc.rollDamage();
+    // 4. Бросок атаки НПС против защиты игрока
+    const npcAttack = this._rollAttack(npc.getAttackBonus(), this.player.getTotalDefense());
+    if (!npcAttack.hit) {
+      const missMessage = npcAttack.fumble
+        ? `${npcName} спотыкается и промахивается.`
+        : `${npcName} промахивается по вам.`;
+      result += '\n' + this.game.colorize(missMessage, 'combat-npc-miss');
+      return result + this._tickNpcRoundEffects(npc);
+    }
+
+    // 5. Парирование (пассивное умение игрока)
+    if (this._tryParry()) {
+      result += '\n' + this.game.colorize(`Вы парируете атаку ${this._name(npc, 'genitive')}!`, 'combat-player-attack');
+      return result + this._tickNpcRoundEffects(npc);
+    }
+
+    // 6. Попадание НПС
+    let npcDamage = npc.rollDamage();
+    if (npcAttack.critical) {
+      npcDamage *= AttackRoll.CRITICAL_MULTIPLIER;
+    }
     this.player.takeDamage(npcDamage);
-    result += '\n' + this.game.colorize(`${this.game.colorize(this.npc.name, `npc-name npc-${this.npc.type}`)} наносит вам ${npcDamage} урона.`, 'combat-npc-attack');
+    const criticalPrefix = npcAttack.critical ? 'Критический удар! ' : '';
+    result += '\n' + this.game.colorize(`${criticalPrefix}${npcName} наносит вам ${npcDamage} урона.`, 'combat-npc-attack');
     result += '\n' + this.game.colorize(`У вас осталось ${this.player.hitPoints}/${this.player.maxHitPoints} HP.`, 'combat-player-hp');
 
     if (this.player.hitPoints <= 0) {
       result += '\n' + this.game.colorize('Вы умерли!', 'combat-player-death');
+      const corpseMessage = this.game.handlePlayerDeath();
+      if (corpseMessage) result += '\n' + corpseMessage;
+      this.stop();
+      return result;
+    }
+    return result + this._tickNpcRoundEffects(npc);
+  }
+
+  /**
+   * Обрабатывает гибель противника: опыт, добыча, респаун и выбор новой цели.
+   * @param {import('./NPC').NPC} npc - Погибший NPC.
+   * @returns {string} Сообщения (каждое с новой строки).
+   * @private
+   */
+  _handleNpcDeath(npc) {
+    const npcName = this._name(npc);
+    let result = '\n' + this.game.colorize(`${npcName} повержен!`, 'combat-npc-death');
+
+    if (npc.experience > 0) {
+      const levelUpMessage = this.player.addExperience(npc.experience);
+      result += '\n' + this.game.colorize(`Вы получили ${npc.experience} опыта.`, 'combat-exp-gain');
+      if (levelUpMessage) {
+        result += '\n' + this.game.colorize(levelUpMessage.message, 'combat-exp-gain');
+        const newSkillMessage = this.game.checkAndAwardSkills();
+        if (newSkillMessage) {
+          result += '\n' + this.game.colorize(newSkillMessage, 'combat-exp-gain');
+        }
+      }
+    }
+
+    // Добыча и вещи NPC остаются в трупе, откуда их можно забрать командой "get <предмет> труп"
+    const drops = npc.getDeathDrops();
+    const loot = drops.items
+      .map(localItemId => this.game.world.createItemInstance(this.game.world.getGlobalId(localItemId, npc.area)))
+      .filter(Boolean)
+      .concat(npc.takeAllItems());
+    const corpse = this.game.world.createCorpse(npc.name, loot, CORPSE_DECAY_TICKS);
+    this.game.getCurrentRoom().addItem(corpse.globalId);
+    if (loot.length > 0) {
+      result += `\n${npcName} что-то оставил.`;
+    }
+    if (drops.gold > 0) {
+      this.player.gold += drops.gold;
+      result += '\n' + this.game.colorize(`Вы нашли ${drops.gold} золота.`, 'combat-exp-gain');
+    }
+
+    const deadNpcGlobalId = this.game.world.getGlobalId(npc.id, npc.area);
+    this.player.recordKill(deadNpcGlobalId);
+    this.game.getCurrentRoom().removeNpc(npc.id);
+    this.game.world.npcLocationMap.delete(deadNpcGlobalId);
+
+    return result + this._removeOpponent(npc);
+  }
+
+  /**
+   * Убирает NPC из боя. Если это была цель игрока, выбирает новую по списку угрозы;
+   * если противников не осталось, завершает бой.
+   * @param {import('./NPC').NPC} npc - Выбывший NPC.
+   * @returns {string} Сообщение о смене цели (с новой строки) или пустая строка.
+   * @private
+   */
+  _removeOpponent(npc) {
+    this.opponents = this.opponents.filter(opponent => opponent !== npc);
+    this.threat.delete(npc);
+    this._clearRoundEffects(npc);
+
+    const remaining = this.getOpponents();
+    if (remaining.length === 0) {
       this.stop();
+      return '';
+    }
+    if (npc === this.npc) {
+      this.npc = remaining[0];
+      return '\n' + this.game.colorize(`Вы переключаетесь на ${this._name(this.npc, 'accusative')}.`, 'combat-player-attack');
+    }
+    return '';
+  }
+
+  /**
+   * Увеличивает угрозу NPC по отношению к игроку.
+   * @param {import('./NPC').NPC} npc - NPC.
+   * @param {number} amount - Прирост угрозы.
+   * @private
+   */
+  _addThreat(npc, amount) {
+    this.threat.set(npc, (this.threat.get(npc) || 0) + amount);
+  }
+
+  /**
+   * Втягивает в бой союзников атакованного NPC: NPC в этой же комнате,
+   * а также защитников зоны (`assistsArea`) из соседних комнат, которые прибегают на шум.
+   * @param {import('./NPC').NPC} victim - Атакованный NPC.
+   * @returns {string} Сообщения о вступлении в бой (каждое с новой строки).
+   * @private
+   */
+  _callForHelp(victim) {
+    let result = '';
+    const nearbyRooms = this.game.world.getRoomsWithinDistance(this.player.currentRoom, ASSIST_RADIUS);
+
+    for (const [roomId, distance] of nearbyRooms) {
+      const room = this.game.world.rooms.get(roomId);
+      for (const localNpcId of [...room.npcs]) {
+        const npc = this.game.getNpc(localNpcId, room.area);
+        if (!npc || this.opponents.includes(npc) || !npc.willAssist(victim)) continue;
+
+        if (distance > 0) {
+          if (!npc.assistsArea) continue;
+          this.game.world.moveNpc(this.game.world.getGlobalId(npc.id, npc.area), this.player.currentRoom);
+          result += '\n' + this.game.colorize(`${this._name(npc)} прибегает на шум боя!`, 'combat-npc-attack');
+        }
+        result += '\n' + this.engage(npc);
+      }
     }
     return result;
   }
 
+  /**
+   * Возвращает раскрашенное имя NPC.
+   * @param {import('./NPC').NPC} npc - NPC.
+   * @param {string} [grammaticalCase='nominative'] - Падеж имени (см. RussianMorphology.decline).
+   * @returns {string}
+   * @private
+   */
+  _name(npc, grammaticalCase = 'nominative') {
+    return this.game.colorize(this.game.decline(npc, grammaticalCase), `npc-name npc-${npc.type}`);
+  }
+
+  /**
+   * Отсчитывает раундовые эффекты НПС в конце его хода.
+   * @param {import('./NPC').NPC} npc - НПС.
+   * @returns {string} Сообщения об истекших эффектах (с переводом строки) или пустая строка.
+   * @private
+   */
+  _tickNpcRoundEffects(npc) {
+    return this.game.statusEffectManager.tickEntity(npc, 'round')
+      .map(message => '\n' + message)
+      .join('');
+  }
+
+  /**
+   * Снимает с участника боя все эффекты, измеряемые в раундах.
+   * @param {import('./Player').Player|import('./NPC').NPC} target - Игрок или НПС.
+   * @private
+   */
+  _clearRoundEffects(target) {
+    target.statusEffects
+      .filter(effect => effect.unit === 'round')
+      .forEach(effect => target.removeStatusEffect(effect.id));
+  }
+
   /**
    * Вычисляет урон игрока.
    * @param {string|null} skillId - ID используемого умения.
@@ -204,7 +500,7 @@ export class CombatManager {
       baseDamage = Math.floor(Math.random() * 4) + 1;
     }
 
-    const strBonus = Math.floor((this.player.strength - 10) / 2);
+    const strBonus = Math.floor((this.player.getEffectiveStat('strength') - 10) / 2);
     let finalDamage = baseDamage + strBonus;
 
     if (skillId) {
@@ -214,6 +510,32 @@ export class CombatManager {
       }
     }
 
+    // Эффекты (например, "Слепая ярость" или "Обезоружен") изменяют урон
+    finalDamage *= this.player.getEffectMultiplier('damageMultiplier');
+
     return Math.max(1, Math.floor(finalDamage));
   }
+
+  /**
+   * Выполняет бросок атаки d20 против защиты цели.
+   * @param {number} attackBonus - Бонус атакующего.
+   * @param {number} defense - Защита цели.
+   * @returns {{roll: number, hit: boolean, critical: boolean, fumble: boolean}}
+   * @private
+   */
+  _rollAttack(attackBonus, defense) {
+    return new AttackRoll(attackBonus, defense).roll();
+  }
+
+  /**
+   * Проверяет, удалось ли игроку парировать атаку NPC.
+   * @returns {boolean} `true`, если атака парирована.
+   * @private
+   */
+  _tryParry() {
+    if (!this.player.hasSkill('parry')) return false;
+    const skillData = this.game.skillsData.get('parry');
+    const chance = skillData?.effect?.parryChance || 0;
+    return Math.random() < chance;
+  }
 }
\ No newline at end of file
@@ -2,18 +2,25 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { CombatManager } from './CombatManager.js';
 import { Player } from './Player.js';
 import { NPC } from './NPC.js';
+import { SkillManager } from './SkillManager.js';
+import { StatusEffectManager } from './StatusEffectManager.js';
+import { AttackRoll } from '../utils/attackRoll.js';
+import { LootTable } from '../utils/lootTable.js';
 
 describe('CombatManager', () => {
   let player;
   let npc;
   let mockGame;
   let combatManager;
+  let room;
+  let roomNpcs;
 
   beforeEach(() => {
     // 1. Создаем реальные экземпляры Player и NPC для теста
     player = new Player('Боец');
     npc = new NPC({
       id: 'test_rat',
+      area: 'test',
       name: 'пещерная крыса',
       type: 'hostile',
       hitPoints: 15,
@@ -22,6 +29,14 @@ describe('CombatManager', () => {
       experience: 10,
     });
 
+    roomNpcs = { test_rat: npc };
+    room = {
+      area: 'test',
+      npcs: ['test_rat'],
+      removeNpc: vi.fn(),
+      addItem: vi.fn(),
+    };
+
     // 2. Создаем "мок" (mock) игрового движка
     // Нам не нужен настоящий GameEngine, а только объект с методами,
     // которые вызывает CombatManager.
@@ -29,6 +44,7 @@ describe('CombatManager', () => {
       player: player, // Передаем реального игрока
       onMessage: vi.fn(), // vi.fn() создает пустую функцию-шпиона
       colorize: (text) => text, // Простая функция-заглушка
+      decline: (entity) => entity.name, // Склонение проверяется в интеграционных тестах
       stopCombat: vi.fn(),
       checkAndAwardSkills: vi.fn(),
       world: {
@@ -36,16 +52,19 @@ describe('CombatManager', () => {
         npcLocationMap: {
           delete: vi.fn(),
         },
+        rooms: { get: () => room },
+        getRoomsWithinDistance: (roomId) => new Map([[roomId, 0]]),
+        moveNpc: vi.fn(),
+        createItemInstance: vi.fn(templateId => ({ globalId: `${templateId}#1` })),
+        createCorpse: vi.fn((ownerName, contents) => ({ globalId: 'system:corpse#1', name: `труп (${ownerName})`, contents })),
       },
-      getCurrentRoom: () => ({
-        removeNpc: vi.fn(),
-        addItem: vi.fn(),
-      }),
-      tickManager: {
-        scheduleNpcRespawn: vi.fn(),
-      },
+      getCurrentRoom: () => room,
+      getNpc: (localId) => roomNpcs[localId] || null,
     };
 
+    mockGame.skillManager = new SkillManager(mockGame);
+    mockGame.statusEffectManager = new StatusEffectManager(mockGame);
+
     // 3. Инициализируем CombatManager с реальными и моковыми объектами
     combatManager = new CombatManager(mockGame, player, npc);
   });
@@ -64,7 +83,8 @@ describe('CombatManager', () => {
   });
 
   it('должен выполнять один раунд боя: игрок атакует, NPC отвечает', async () => {
-    // Задаем фиксированный урон, чтобы тест был предсказуемым
+    // Задаем фиксированный урон и попадания, чтобы тест был предсказуемым
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: true, critical: false, fumble: false });
     vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(5); // Мокаем сам метод расчета урона
     vi.spyOn(npc, 'rollDamage').mockReturnValue(3); // Урон от NPC
 
@@ -82,6 +102,7 @@ describe('CombatManager', () => {
 
   it('должен завершать бой, когда NPC повержен', async () => {
     // Устанавливаем урон игрока достаточным для убийства NPC за один удар
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: true, critical: false, fumble: false });
     vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(20);
 
     const result = await combatManager.performCombatRound();
@@ -97,4 +118,198 @@ describe('CombatManager', () => {
     expect(result).toContain('пещерная крыса повержен!');
     expect(result).toContain('Вы получили 10 опыта.');
   });
+
+  it('после смерти NPC должен оставлять труп с добычей и отдавать золото игроку', async () => {
+    npc.lootTable = new LootTable({ gold: [7, 7], items: [{ item: 'cheese', chance: 1, quantity: [2, 2] }, { item: 'gem', chance: 0 }] });
+    let nextInstance = 1;
+    mockGame.world.createItemInstance = vi.fn(templateId => ({ globalId: `${templateId}#${nextInstance++}` }));
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: true, critical: false, fumble: false });
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(20);
+    const goldBefore = player.gold;
+
+    const result = await combatManager.performCombatRound();
+
+    expect(mockGame.world.createCorpse).toHaveBeenCalledWith('пещерная крыса', [{ globalId: 'test:cheese#1' }, { globalId: 'test:cheese#2' }], 120);
+    expect(room.addItem).toHaveBeenCalledWith('system:corpse#1');
+    expect(mockGame.world.createItemInstance).not.toHaveBeenCalledWith('test:gem');
+    expect(player.gold).toBe(goldBefore + 7);
+    expect(player.hasKilled('test:test_rat')).toBe(true);
+    expect(result).toContain('Вы нашли 7 золота.');
+  });
+
+  it('оружие и броня NPC меняют его урон и защиту, а после смерти попадают в труп вместе с инвентарем', async () => {
+    const sword = { globalId: 'test:sword#1', type: 'weapon', damage: '5' };
+    const mail = { globalId: 'test:mail#2', type: 'armor', armor: 4 };
+    const cheese = { globalId: 'test:cheese#3', type: 'food' };
+    npc.equip(sword);
+    npc.equip(mail);
+    npc.inventory = [cheese];
+
+    expect(npc.rollDamage()).toBe(5);
+    expect(npc.getTotalDefense()).toBe(14);
+
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: true, critical: false, fumble: false });
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(20);
+    await combatManager.performCombatRound();
+
+    expect(mockGame.world.createCorpse).toHaveBeenCalledWith('пещерная крыса', [cheese, sword, mail], 120);
+    expect(npc.inventory).toEqual([]);
+    expect(npc.equippedWeapon).toBeNull();
+    expect(npc.equippedArmor).toBeNull();
+  });
+
+  it('должен парировать атаку NPC, если у игрока есть умение "Парирование"', async () => {
+    mockGame.skillsData = new Map([['parry', { effect: { parryChance: 1 } }]]);
+    player.skills.push('parry');
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: true, critical: false, fumble: false });
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(1);
+    const rollSpy = vi.spyOn(npc, 'rollDamage');
+
+    const result = await combatManager.performCombatRound();
+
+    expect(rollSpy).not.toHaveBeenCalled();
+    expect(player.hitPoints).toBe(20);
+    expect(result).toContain('Вы парируете атаку пещерная крыса!');
+  });
+
+  it('должен показывать промахи обеих сторон', async () => {
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 5, hit: false, critical: false, fumble: false });
+    const damageSpy = vi.spyOn(combatManager, '_calculatePlayerDamage');
+
+    const result = await combatManager.performCombatRound();
+
+    expect(damageSpy).not.toHaveBeenCalled();
+    expect(npc.hitPoints).toBe(15);
+    expect(player.hitPoints).toBe(20);
+    expect(result).toContain('Вы промахиваетесь по пещерная крыса.');
+    expect(result).toContain('пещерная крыса промахивается по вам.');
+  });
+
+  it('критический удар должен наносить двойной урон', async () => {
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 20, hit: true, critical: true, fumble: false });
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(4);
+    vi.spyOn(npc, 'rollDamage').mockReturnValue(2);
+
+    const result = await combatManager.performCombatRound();
+
+    expect(npc.hitPoints).toBe(7); // 15 - 4 * 2
+    expect(player.hitPoints).toBe(16); // 20 - 2 * 2
+    expect(result).toContain('Критический удар! Вы наносите 8 урона');
+  });
+
+  it('бросок атаки должен сравнивать d20 + бонус с защитой цели', () => {
+    const attack = new AttackRoll(2, 12);
+    expect(attack.hitChance()).toBe(0.55); // нужно 10+ на d20
+
+    vi.spyOn(Math, 'random').mockReturnValue(0.4); // d20 = 9
+    expect(attack.roll()).toMatchObject({ roll: 9, hit: false });
+    Math.random.mockReturnValue(0); // d20 = 1 - всегда промах
+    expect(new AttackRoll(30, 0).roll()).toMatchObject({ hit: false, fumble: true });
+    Math.random.mockReturnValue(0.99); // d20 = 20 - всегда попадание
+    expect(new AttackRoll(0, 30).roll()).toMatchObject({ hit: true, critical: true });
+
+    vi.restoreAllMocks();
+  });
+
+  it('каждый противник в бою должен атаковать, а игрок - бить свою цель', async () => {
+    const bat = new NPC({ id: 'bat', name: 'летучая мышь', type: 'hostile', hitPoints: 5, maxHitPoints: 5, damage: '1d2', experience: 5 });
+    roomNpcs.bat = bat;
+    room.npcs.push('bat');
+    vi.spyOn(combatManager, '_loop').mockImplementation(() => {});
+    combatManager.start();
+
+    expect(combatManager.opponents).toEqual([npc, bat]);
+    expect(mockGame.onMessage).toHaveBeenCalledWith('Вы атакуете пещерная крыса!\nлетучая мышь вступает в бой!');
+
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: true, critical: false, fumble: false });
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(5);
+    vi.spyOn(npc, 'rollDamage').mockReturnValue(2);
+    vi.spyOn(bat, 'rollDamage').mockReturnValue(1);
+
+    const result = await combatManager.performCombatRound();
+
+    expect(npc.hitPoints).toBe(10);
+    expect(bat.hitPoints).toBe(5);
+    expect(player.hitPoints).toBe(17); // 20 - 2 - 1
+    expect(result).toContain('летучая мышь наносит вам 1 урона.');
+  });
+
+  it('после гибели цели должен переключаться на следующего противника по угрозе', async () => {
+    const bat = new NPC({ id: 'bat', name: 'летучая мышь', type: 'hostile', hitPoints: 5, maxHitPoints: 5, damage: '1d2', experience: 5 });
+    const wolf = new NPC({ id: 'wolf', name: 'волк', type: 'hostile', hitPoints: 12, maxHitPoints: 12, damage: '1d6', experience: 20 });
+    combatManager.engage(bat);
+    combatManager.engage(wolf);
+    combatManager.threat.set(wolf, 3); // По волку игрок уже попадал
+
+    expect(combatManager.setTarget(bat)).toBe('Вы переключаетесь на летучая мышь.');
+    vi.spyOn(combatManager, '_rollAttack').mockReturnValue({ roll: 15, hit: false, critical: false, fumble: false });
+    combatManager._rollAttack.mockReturnValueOnce({ roll: 15, hit: true, critical: false, fumble: false });
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(10);
+
+    const result = await combatManager.performCombatRound();
+
+    expect(result).toContain('летучая мышь повержен!');
+    expect(result).toContain('Вы переключаетесь на волк.');
+    expect(combatManager.npc).toBe(wolf);
+    expect(combatManager.opponents).toEqual([npc, wolf]);
+    expect(combatManager.isOver).toBe(false);
+  });
+
+  it('при засаде NPC нападает первым, а первый раунд откладывается', () => {
+    vi.useFakeTimers();
+    const loopSpy = vi.spyOn(combatManager, '_loop').mockImplementation(() => {});
+
+    const message = combatManager.ambush([npc]);
+
+    expect(player.state).toBe('fighting');
+    expect(message).toBe('пещерная крыса нападает на вас!');
+    expect(loopSpy).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(2500);
+    expect(loopSpy).toHaveBeenCalled();
+    vi.useRealTimers();
+  });
+
+  it('должен обезоруживать NPC вместо обычной атаки', async () => {
+    mockGame.skillsData = new Map([['disarm', { name: 'Обезоруживание', effect: { type: 'debuff', statusEffect: 'disarmed', baseChance: 1, dexterityBonus: 0 } }]]);
+    player.nextAttackIsSkill = 'disarm';
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+
+    const result = await combatManager.performCombatRound();
+
+    expect(npc.hitPoints).toBe(15); // Урон не наносится
+    expect(npc.hasStatusEffect('disarmed')).toBe(true);
+    expect(result).toContain('пещерная крыса получает эффект "Обезоружен"!');
+
+    vi.restoreAllMocks();
+  });
+
+  it('должен учитывать множитель урона от эффектов и снимать раундовые эффекты по истечении', async () => {
+    mockGame.skillsData = new Map();
+    mockGame.statusEffectManager.apply(player, 'blind_rage', { duration: 1 });
+    vi.spyOn(Math, 'random').mockReturnValue(0.99); // 1d4 -> 4
+
+    expect(combatManager._calculatePlayerDamage()).toBe(5); // 4 * 1.25
+    expect(player.getTotalDefense()).toBe(7); // 10 * 0.75
+
+    const result = await combatManager.performCombatRound();
+
+    expect(player.hasStatusEffect('blind_rage')).toBe(false);
+    expect(result).toContain('Эффект "Слепая ярость" закончился.');
+
+    vi.restoreAllMocks();
+  });
+
+  it('оглушенный NPC должен пропускать ход', async () => {
+    mockGame.skillsData = new Map();
+    mockGame.statusEffectManager.apply(npc, 'stun');
+    vi.spyOn(combatManager, '_calculatePlayerDamage').mockReturnValue(1);
+    const rollSpy = vi.spyOn(npc, 'rollDamage');
+
+    const result = await combatManager.performCombatRound();
+
+    expect(rollSpy).not.toHaveBeenCalled();
+    expect(player.hitPoints).toBe(20);
+    expect(result).toContain('пещерная крыса оглушен и пропускает ход.');
+    expect(npc.isStunned()).toBe(false);
+  });
 });
\ No newline at end of file
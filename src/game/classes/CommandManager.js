@@ -1,3 +1,27 @@
+import { FuzzyMatcher } from '../utils/fuzzyMatcher.js';
+
+/** Максимальное число повторов в префиксе "3 kick". */
+const MAX_REPEAT = 20;
+
+/** Команды, которые нельзя переопределить псевдонимом игрока, чтобы не потерять управление псевдонимами. */
+const PROTECTED_ALIAS_NAMES = ['alias', 'unalias'];
+
+/** Буквы маршрута ("#3с2в", ".ссвв") и направления, в которые они ведут. */
+const SPEEDWALK_DIRECTIONS = {
+  'с': 'север',
+  'ю': 'юг',
+  'в': 'восток',
+  'з': 'запад',
+  'п': 'вверх', // подняться
+  'о': 'вниз', // опуститься
+};
+/** Буквы маршрута для регулярных выражений. */
+const SPEEDWALK_LETTERS = Object.keys(SPEEDWALK_DIRECTIONS).join('');
+/** "#3с2в": каждая буква направления с необязательным числом шагов перед ней. */
+const COUNTED_SPEEDWALK = new RegExp(`^#(\\d*[${SPEEDWALK_LETTERS}])+$`, 'i');
+/** ".ссвв": только буквы направлений, по шагу на каждую. */
+const LETTER_SPEEDWALK = new RegExp(`^\\.[${SPEEDWALK_LETTERS}]+$`, 'i');
+
 /**
  * @class CommandManager
  * @description Управляет регистрацией, парсингом и выполнением игровых команд.
@@ -12,6 +36,152 @@ export class CommandManager {
     this.commands = new Map();
     /** @type {Map<string, string>} */
     this.aliases = new Map();
+    /** @type {string[]} Команды, ожидающие выполнения (по одной за тик). */
+    this.queue = [];
+    /** @type {boolean} Была ли очередь начата в бою (иначе начавшийся бой ее прерывает). */
+    this.queueStartedInCombat = false;
+    /** @type {string|null} Последняя введенная строка для повтора через "!". */
+    this.lastInput = null;
+  }
+
+  /**
+   * Выполняет строку ввода игрока. Строка может содержать цепочку команд через ";",
+   * повтор ("3 kick"), маршрут ("#3с2в", ".ссвв") или "!" - повтор предыдущей строки.
+   * Первая команда выполняется сразу, остальные встают в очередь и выполняются по одной за тик
+   * (см. `runNextQueued`). Введенная игроком команда не ждет уже запущенной очереди (например, маршрута
+   * `travel`) и выполняется сразу; в конец очереди встают только остальные команды этой строки.
+   * @param {string} input - Ввод пользователя.
+   * @returns {Promise<string>} Результат первой команды.
+   */
+  async executeLine(input) {
+    const line = input.trim();
+    if (line === '!') {
+      if (!this.lastInput) return 'Нечего повторять.';
+      return this.executeLine(this.lastInput);
+    }
+    this.lastInput = line;
+
+    // "stop" не ждет своей очереди, а "alias" получает строку целиком вместе с ";" макроса
+    const { command } = this._parse(line);
+    if (command === 'stop' || command === 'alias') {
+      return this.execute(line);
+    }
+
+    const commands = this._expandLine(line);
+    if (commands.length === 0) return this.execute(line);
+
+    if (this.queue.length === 0) {
+      this.queueStartedInCombat = Boolean(this.game.combatManager);
+    }
+    const result = await this.execute(commands.shift());
+    this.queue.push(...commands);
+    return result + this._describeQueue();
+  }
+
+  /**
+   * Выполняет следующую команду из очереди. Вызывается каждый тик.
+   * Очередь сбрасывается, если игрок погиб или начался бой, которого не было при ее запуске.
+   * Результат отправляется через `game.onMessage`.
+   * @returns {Promise<string>} Сообщение с результатом или пустая строка.
+   */
+  async runNextQueued() {
+    if (this.queue.length === 0) return '';
+
+    let message;
+    if (this.game.player.state === 'dead') {
+      this.queue = [];
+      return '';
+    } else if (this.game.combatManager && !this.queueStartedInCombat) {
+      this.queue = [];
+      message = this.game.colorize('Очередь команд прервана: начался бой.', 'combat-npc-attack');
+    } else {
+      const input = this.queue.shift();
+      message = `${this.game.colorize(`> ${input}`, 'user-input')}\n${await this.execute(input)}`;
+    }
+
+    if (this.game.onMessage) this.game.onMessage(message);
+    return message;
+  }
+
+  /**
+   * Ставит команды в конец очереди (например, шаги маршрута команды `travel`).
+   * @param {string[]} commands - Команды по порядку.
+   */
+  enqueue(commands) {
+    if (this.queue.length === 0) {
+      this.queueStartedInCombat = Boolean(this.game.combatManager);
+    }
+    this.queue.push(...commands);
+  }
+
+  /**
+   * Очищает очередь команд.
+   * @returns {number} Сколько команд было отменено.
+   */
+  clearQueue() {
+    const count = this.queue.length;
+    this.queue = [];
+    return count;
+  }
+
+  /**
+   * Разворачивает строку в список команд: цепочки через ";", повторы и маршруты.
+   * @param {string} line - Строка ввода.
+   * @returns {string[]} Команды по порядку.
+   * @private
+   */
+  _expandLine(line) {
+    return line.split(';')
+      .map(part => part.trim())
+      .filter(Boolean)
+      // Псевдоним игрока с ";" в шаблоне - макрос, который сам разворачивается в цепочку
+      .flatMap(part => {
+        const expanded = this._expandUserAlias(part);
+        return expanded?.includes(';') ? expanded.split(';').map(command => command.trim()).filter(Boolean) : [part];
+      })
+      .flatMap(part => {
+        const speedwalk = this._expandSpeedwalk(part);
+        if (speedwalk) return speedwalk;
+
+        const repeat = part.match(/^(\d+)\s+(.+)$/);
+        if (repeat) {
+          const count = Math.min(parseInt(repeat[1], 10), MAX_REPEAT);
+          return Array(count).fill(repeat[2]);
+        }
+        return [part];
+      });
+  }
+
+  /**
+   * Разворачивает маршрут в команды `go`: "#3с2в" - три раза на север и два на восток,
+   * ".ссвв" - каждая буква означает один шаг. Строка, где есть что-то кроме букв направлений и чисел
+   * (например, просто "."), маршрутом не считается и выполняется как обычная команда.
+   * @param {string} part - Часть строки ввода.
+   * @returns {string[]|null} Команды `go` или null, если это не маршрут.
+   * @private
+   */
+  _expandSpeedwalk(part) {
+    let steps;
+    if (COUNTED_SPEEDWALK.test(part)) {
+      steps = [...part.slice(1).matchAll(/(\d*)(\D)/g)].map(([, count, letter]) => [letter, parseInt(count || '1', 10)]);
+    } else if (LETTER_SPEEDWALK.test(part)) {
+      steps = [...part.slice(1)].map(letter => [letter, 1]);
+    } else {
+      return null;
+    }
+
+    return steps.flatMap(([letter, count]) =>
+      Array(Math.min(count, MAX_REPEAT)).fill(`go ${SPEEDWALK_DIRECTIONS[letter.toLowerCase()]}`));
+  }
+
+  /**
+   * Описывает оставшуюся очередь команд.
+   * @returns {string} Строка с переводом строки или пустая строка, если очередь пуста.
+   * @private
+   */
+  _describeQueue() {
+    if (this.queue.length === 0) return '';
+    return '\n' + this.game.colorize(`В очереди команд: ${this.queue.length} (stop - отменить).`, 'info-label');
   }
 
   /**
@@ -37,6 +207,60 @@ export class CommandManager {
     this.aliases.set(alias, fullCommand);
   }
 
+  /**
+   * Задает псевдоним игрока. Псевдонимы хранятся у игрока и попадают в сохранение.
+   * @param {string} name - Имя псевдонима (одно слово).
+   * @param {string} template - Шаблон команды: `$1`...`$9` - аргументы, `$*` - все аргументы.
+   * @returns {string|null} Текст ошибки или null, если псевдоним задан.
+   */
+  setUserAlias(name, template) {
+    const aliasName = name.toLowerCase();
+    if (PROTECTED_ALIAS_NAMES.includes(aliasName)) {
+      return `Команду "${aliasName}" нельзя переопределить.`;
+    }
+    if (!template.trim()) {
+      return 'Укажите команду для псевдонима.';
+    }
+    // Новый объект, чтобы изменение заметил реактивный стор
+    this.game.player.aliases = { ...this.game.player.aliases, [aliasName]: template.trim() };
+    return null;
+  }
+
+  /**
+   * Удаляет псевдоним игрока.
+   * @param {string} name - Имя псевдонима.
+   * @returns {boolean} Был ли такой псевдоним.
+   */
+  removeUserAlias(name) {
+    const aliasName = name.toLowerCase();
+    if (!(aliasName in this.game.player.aliases)) return false;
+    const { [aliasName]: removed, ...rest } = this.game.player.aliases;
+    this.game.player.aliases = rest;
+    return true;
+  }
+
+  /**
+   * Разворачивает псевдоним игрока в начале строки.
+   * Если в шаблоне нет `$1`...`$9` и `$*`, аргументы дописываются в конец.
+   * @param {string} input - Строка с одной командой.
+   * @returns {string|null} Развернутая строка или null, если первое слово - не псевдоним игрока.
+   * @private
+   */
+  _expandUserAlias(input) {
+    const [name, ...args] = input.trim().split(/\s+/);
+    const template = this.game.player.aliases?.[name.toLowerCase()];
+    if (!template) return null;
+
+    if (!/\$(\d|\*)/.test(template)) {
+      return [template, ...args].join(' ');
+    }
+    return template
+      .replace(/\$\*/g, args.join(' '))
+      .replace(/\$(\d)/g, (_, index) => args[index - 1] ?? '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   /**
    * Парсит и выполняет команду.
    * @param {string} input - Ввод пользователя.
@@ -50,8 +274,15 @@ export class CommandManager {
       return 'Вы мертвы. Используйте команду "respawn" для возрождения.';
     }
 
-    const allowedCombatCommands = ['flee', 'look', 'inventory', 'stats', 'use', 'kick'];
-    if (this.game.combatManager && !allowedCombatCommands.includes(parsed.command)) {
+    // Сидя, отдыхая или во сне нельзя ходить, нападать и обыскивать комнату (умения проверяет SkillManager)
+    const standingCommands = ['go', 'travel', 'kill', 'target', 'flee', 'search'];
+    const restingRefusal = this.game.player.getRestingRefusal();
+    if (restingRefusal && standingCommands.includes(parsed.command)) {
+      return restingRefusal;
+    }
+
+    const allowedCombatCommands = ['flee', 'look', 'inventory', 'stats', 'use', 'kill', 'target', 'stop'];
+    if (this.game.combatManager && !allowedCombatCommands.includes(parsed.command) && !this.game.skillManager.isCombatCommand(parsed.command)) {
       return 'Вы не можете сделать это в бою! Попробуйте `flee` (сбежать).';
     }
 
@@ -65,7 +296,19 @@ export class CommandManager {
       }
     }
 
-    return `Неизвестная команда: "${parsed.command}"`;
+    const similar = FuzzyMatcher.suggest(parsed.command, [...this.commands.keys(), ...this.aliases.keys(), ...Object.keys(this.game.player.aliases || {})]);
+    const suggestion = similar.length > 0 ? ` Возможно, вы имели в виду: ${similar.join(', ')}?` : '';
+    return `Неизвестная команда: "${parsed.command}".${suggestion}`;
+  }
+
+  /**
+   * Проверяет, зарегистрирована ли команда или псевдоним с таким именем.
+   * @param {string} name
+   * @returns {boolean}
+   * @private
+   */
+  _isKnownCommand(name) {
+    return this.commands.has(name) || this.aliases.has(name);
   }
 
   /**
@@ -79,10 +322,16 @@ export class CommandManager {
       return { command: '', args: [], target: '', original: '' };
     }
 
-    const parts = input.trim().toLowerCase().split(/\s+/);
+    // Псевдонимы игрока разворачиваются раньше встроенных, поэтому могут их переопределять
+    const parts = (this._expandUserAlias(input) ?? input).trim().toLowerCase().split(/\s+/);
     let command = parts[0];
     const args = parts.slice(1);
 
+    // Команда, набранная не в той раскладке ("дщщл" вместо "look"), исправляется сразу
+    if (!this._isKnownCommand(command) && this._isKnownCommand(FuzzyMatcher.switchLayout(command))) {
+      command = FuzzyMatcher.switchLayout(command);
+    }
+
     const alias = this.aliases.get(command);
     if (alias) {
       if (alias.includes(' ')) {
@@ -1,4 +1,5 @@
 import { DamageParser } from '../utils/damageParser.js';
+import { AttackRoll } from '../utils/attackRoll.js';
 
 /**
  * Конфигурация для оценки NPC. Пороги проверяются сверху вниз.
@@ -45,7 +46,7 @@ export class ConsiderationManager {
     const foundTarget = this.game.findTargetByName(targetName);
 
     if (!foundTarget) {
-      return this.game.formatter.format('consider.general.notFound', { targetName });
+      return this.game.formatter.format('consider.general.notFound', { targetName }) + this.game.suggestTargets(targetName);
     }
 
     switch (foundTarget.type) {
@@ -111,17 +112,29 @@ export class ConsiderationManager {
       t.format('consider.npc.statsHeader')
     ];
 
-    const playerHp = this.game.player.hitPoints;
-    const playerAvgDamage = this.game.player.getAverageDamage();
+    const { player } = this.game;
+    const playerHp = player.hitPoints;
     const npcHp = npc.hitPoints;
-    const npcAvgDamage = new DamageParser(npc.damage).avg();
 
-    if (playerAvgDamage <= 0) return [header, ...lines, t.format('consider.npc.cantDamage'), footer].join('\n');
-    if (npcAvgDamage <= 0) return [header, ...lines, t.format('consider.npc.npcCantDamage'), footer].join('\n');
+    // Средний урон за раунд учитывает промахи и критические удары
+    const playerAttack = new AttackRoll(player.getAttackBonus(), npc.getTotalDefense());
+    const npcAttack = new AttackRoll(npc.getAttackBonus(), player.getTotalDefense());
+    const playerAvgDamage = player.getAverageDamage() * playerAttack.expectedDamageFactor();
+    const npcAvgDamage = new DamageParser(npc.getDamageDice()).avg() * npcAttack.expectedDamageFactor();
+
+    const lootLines = [...this._getGuardLines(npc), ...this._getPossibleLootLines(npc)];
+    if (playerAvgDamage <= 0) return [header, ...lines, t.format('consider.npc.cantDamage'), ...lootLines, footer].join('\n');
+    if (npcAvgDamage <= 0) return [header, ...lines, t.format('consider.npc.npcCantDamage'), ...lootLines, footer].join('\n');
 
     const roundsToKillNpc = Math.ceil(npcHp / playerAvgDamage);
     const roundsToKillPlayer = Math.ceil(playerHp / npcAvgDamage);
 
+    // Умение "Улучшенная оценка" позволяет видеть точное здоровье противника
+    if (this.game.player.hasSkill('improved_assessment')) {
+      lines.push(t.format('consider.npc.exactHp', { hp: npc.hitPoints, maxHp: npc.maxHitPoints }));
+    }
+    lines.push(t.format('consider.npc.playerHitChance', { chance: Math.round(playerAttack.hitChance() * 100) }));
+    lines.push(t.format('consider.npc.npcHitChance', { chance: Math.round(npcAttack.hitChance() * 100) }));
     lines.push(t.format('consider.npc.playerDamage', { damage: playerAvgDamage.toFixed(1) }));
     lines.push(t.format('consider.npc.npcDamage', { damage: npcAvgDamage.toFixed(1) }));
     lines.push(t.format('consider.npc.roundsToWin', { rounds: roundsToKillNpc }));
@@ -136,7 +149,50 @@ export class ConsiderationManager {
     const verdictText = this.game.colorize(verdict.text, verdict.color);
     lines.push(t.format('consider.npc.verdict', { verdictText }));
 
-    return [header, ...lines, footer].join('\n');
+    return [header, ...lines, ...lootLines, footer].join('\n');
+  }
+
+  /**
+   * Объясняет, какие выходы текущей комнаты охраняет NPC и что нужно, чтобы пройти.
+   * @param {import('./NPC').NPC} npc - Оцениваемый NPC.
+   * @returns {string[]} Строки для вывода или пустой массив.
+   * @private
+   */
+  _getGuardLines(npc) {
+    const t = this.game.formatter;
+    const currentRoom = this.game.getCurrentRoom();
+    const lines = [];
+    for (const guard of currentRoom.guards.values()) {
+      if (guard.npc !== npc.id || !guard.getGuardNpc(this.game, currentRoom)) continue;
+      lines.push(t.format('consider.npc.guardHeader', { direction: guard.direction }));
+      for (const { text, met } of guard.describeRequirements(this.game, currentRoom.area)) {
+        lines.push(t.format(met ? 'consider.npc.guardRequirementMet' : 'consider.npc.guardRequirementUnmet', { text }));
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Формирует список возможной добычи. Игрок знает, что выпадает с NPC, только если уже убивал его.
+   * @param {import('./NPC').NPC} npc - Противник.
+   * @returns {string[]} Строки для вывода или пустой массив.
+   * @private
+   */
+  _getPossibleLootLines(npc) {
+    const t = this.game.formatter;
+    if (!this.game.player.hasKilled(this.game.world.getGlobalId(npc.id, npc.area))) return [];
+
+    const lines = [t.format('consider.npc.lootHeader')];
+    if (npc.lootTable.isEmpty()) {
+      return [...lines, t.format('consider.npc.lootNone')];
+    }
+    for (const { item: localItemId, chance } of npc.lootTable.describe()) {
+      const item = this.game.getItem(localItemId, npc.area);
+      if (item) lines.push(t.format('consider.npc.lootItem', { name: item.name, chance: Math.round(chance * 100) }));
+    }
+    const [minGold, maxGold] = npc.lootTable.gold;
+    if (maxGold > 0) lines.push(t.format('consider.npc.lootGold', { min: minGold, max: maxGold }));
+    return lines;
   }
 
   /**
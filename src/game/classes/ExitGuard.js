@@ -0,0 +1,105 @@
+/**
+ * Страж выхода: NPC, который не пропускает игрока в указанном направлении, пока жив и стоит в комнате,
+ * если игрок не выполняет условие. Описывается в JSON зоны полем `guards` комнаты:
+ * `"guards": {"вверх": {"npc": "tower_guardian", "requires": {"minLevel": 4}, "message": "..."}}`.
+ */
+export class ExitGuard {
+  /**
+   * Создает стража выхода.
+   * @param {object} data - Данные стража из JSON зоны.
+   * @property {string} direction - Направление, которое охраняет страж.
+   * @property {string} npc - Локальный ID NPC-стража в зоне комнаты.
+   * @property {{minLevel?: number, item?: string, questFlag?: string, gold?: number}} requires - Условия прохода:
+   *   минимальный уровень, локальный ID предмета в инвентаре, флаг задания, плата золотом за каждый проход.
+   *   Должны выполняться все указанные условия.
+   * @property {string|null} questHint - Подсказка, что нужно сделать для флага задания.
+   * @property {string|null} message - Собственное сообщение об отказе.
+   */
+  constructor(data) {
+    this.direction = data.direction;
+    this.npc = data.npc;
+    this.requires = { ...(data.requires || {}) };
+    this.questHint = data.questHint || null;
+    this.message = data.message || null;
+  }
+
+  /**
+   * Возвращает NPC-стража, если он жив и стоит в комнате.
+   * @param {import('../GameEngine.js').GameEngine} game
+   * @param {import('./Room.js').Room} room - Комната, выход из которой охраняется.
+   * @returns {import('./NPC.js').NPC|null}
+   */
+  getGuardNpc(game, room) {
+    if (!room.hasNpc(this.npc)) return null;
+    const npc = game.getNpc(this.npc, room.area);
+    return npc?.isAlive() ? npc : null;
+  }
+
+  /**
+   * Проверяет условия прохода. Для платы проверяется только, хватает ли золота: списывается оно при проходе.
+   * @param {import('../GameEngine.js').GameEngine} game
+   * @param {string} areaId - ID зоны стража (в ней ищется шаблон предмета).
+   * @returns {Array<{text: string, met: boolean}>} Условия с описанием и отметкой о выполнении.
+   */
+  describeRequirements(game, areaId) {
+    const { player } = game;
+    const { minLevel, item, questFlag, gold } = this.requires;
+    const requirements = [];
+    if (minLevel) {
+      requirements.push({ text: `уровень не ниже ${minLevel}`, met: player.level >= minLevel });
+    }
+    if (item) {
+      const templateId = game.world.getGlobalId(item, areaId);
+      const itemName = game.world.items.get(templateId)?.name || item;
+      requirements.push({
+        text: `иметь при себе: ${game.colorize(itemName, 'item-name')}`,
+        met: player.inventory.some(carried => carried.templateId === templateId),
+      });
+    }
+    if (questFlag) {
+      requirements.push({ text: this.questHint || 'выполнить задание', met: player.hasQuestFlag(questFlag) });
+    }
+    if (gold) {
+      requirements.push({ text: `заплатить ${gold} золота за проход`, met: player.gold >= gold });
+    }
+    return requirements;
+  }
+
+  /**
+   * Проверяет, остановит ли страж игрока прямо сейчас (страж на месте и условие не выполнено).
+   * @param {import('../GameEngine.js').GameEngine} game
+   * @param {import('./Room.js').Room} room - Комната, выход из которой охраняется.
+   * @returns {boolean}
+   */
+  blocks(game, room) {
+    if (!this.getGuardNpc(game, room)) return false;
+    return this.describeRequirements(game, room.area).some(requirement => !requirement.met);
+  }
+
+  /**
+   * Пытается пройти мимо стража. Если все условия выполнены, списывает плату.
+   * @param {import('../GameEngine.js').GameEngine} game
+   * @param {import('./Room.js').Room} room - Комната, выход из которой охраняется.
+   * @returns {{allowed: boolean, message: string|null}} Разрешен ли проход и сообщение (отказ или об уплате).
+   */
+  tryPass(game, room) {
+    const npc = this.getGuardNpc(game, room);
+    if (!npc) return { allowed: true, message: null };
+
+    const npcName = game.colorize(npc.name, `npc-name npc-${npc.type}`);
+    const requirements = this.describeRequirements(game, room.area);
+    const unmet = requirements.filter(requirement => !requirement.met);
+    if (unmet.length > 0) {
+      const refusal = this.message || `${npcName} преграждает вам путь (${this.direction}).`;
+      return { allowed: false, message: `${refusal}\nЧтобы пройти, нужно: ${unmet.map(requirement => requirement.text).join('; ')}.` };
+    }
+
+    const { gold } = this.requires;
+    if (!gold) return { allowed: true, message: null };
+    game.player.gold -= gold;
+    return {
+      allowed: true,
+      message: `Вы платите ${game.colorize(game.decline(npc, 'dative'), `npc-name npc-${npc.type}`)} ${gold} золота. Путь свободен.`,
+    };
+  }
+}
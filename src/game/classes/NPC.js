@@ -1,5 +1,14 @@
 
 import { DamageParser } from '../utils/damageParser.js';
+import { StatusEffect } from './StatusEffect.js';
+import { LootTable } from '../utils/lootTable.js';
+
+/** Слоты экипировки NPC по типу предмета. */
+const NPC_EQUIPMENT_SLOTS = {
+  weapon: 'equippedWeapon',
+  armor: 'equippedArmor',
+};
+
 /**
  * Представляет неигрового персонажа (NPC), который может быть дружелюбным,
  * нейтральным или враждебным. Управляет его состоянием, диалогами и действиями.
@@ -11,38 +20,72 @@ export class NPC {
    * @property {string} id - Локальный ID в пределах зоны.
    * @property {string} area - ID зоны, к которой принадлежит NPC.
    * @property {string} name - Имя NPC.
+   * @property {string[]} keywords - Дополнительные слова, по которым игрок может найти NPC.
+   * @property {object} forms - Имя в косвенных падежах (genitive, dative, accusative, instrumental, prepositional).
    * @property {string} description - Описание NPC.
    * @property {'friendly'|'neutral'|'hostile'} type - Тип поведения.
    * @property {number} hitPoints - Текущее здоровье.
    * @property {number} maxHitPoints - Максимальное здоровье.
    * @property {string} damage - Строка урона (например, "1d6+2").
+   * @property {number} defense - Защита (класс брони), которую нужно превысить броском атаки.
+   * @property {number} attackBonus - Бонус к броску атаки NPC.
    * @property {number} experience - Опыт за убийство.
-   * @property {string[]} drops - Массив ID предметов, которые могут выпасть после смерти.
+   * @property {object} loot - Таблица добычи (золото, предметы с шансами, группы с весами), см. LootTable.
    * @property {string[]} dialogue - Массив реплик для диалога.
+   * @property {{keyword: string, reply: string, questFlag: string}[]} questTopics - Темы заданий: если игрок
+   *   произнесет (`say`) ключевое слово, NPC ответит `reply` и отметит игроку флаг задания `questFlag`.
    * @property {boolean} canHeal - Может ли NPC лечить игрока.
    * @property {string[]} shop - Массив ID товаров для продажи.
    * @property {boolean} canWander - Может ли NPC перемещаться по карте.
    * @property {number} fleesAtPercent - Процент здоровья, при котором NPC пытается сбежать.
    * @property {object[]} specialAbilities - Массив специальных способностей.
+   * @property {boolean} aggressive - Нападает ли NPC на игрока, как только его увидит.
+   * @property {[number, number]|null} aggroLevelRange - Диапазон уровней игрока [мин, макс], на которых NPC агрессивен.
+   * @property {boolean} assistsArea - Приходит ли NPC на помощь жителям своей зоны (например, стражник).
+   * @property {string[]} inventory - Локальные ID предметов, которые NPC носит с собой.
+   * @property {string} [equippedWeapon] - Локальный ID оружия в руках: его урон заменяет `damage`.
+   * @property {string} [equippedArmor] - Локальный ID брони: ее `armor` прибавляется к `defense`.
+   *   Экземпляры вещей создает WorldManager (см. `outfitNpc`).
    */
   constructor(npcData) {
     this.id = npcData.id;
     this.area = npcData.area;
     this.name = npcData.name;
+    this.keywords = [...(npcData.keywords || [])];
+    this.forms = { ...(npcData.forms || {}) };
     this.description = npcData.description;
     this.type = npcData.type; // Тип: friendly, neutral, hostile
     this.hitPoints = npcData.hitPoints;
     this.maxHitPoints = npcData.maxHitPoints;
     this.damage = npcData.damage; // Строка урона, например "1d6+2"
+    this.defense = npcData.defense ?? 10; // Защита против бросков атаки d20
+    this.attackBonus = npcData.attackBonus || 0; // Бонус к броску атаки d20
     this.experience = npcData.experience || 0; // Опыт за убийство
-    this.drops = [...(npcData.drops || [])]; // Предметы, которые выпадают после смерти
+    /** @type {LootTable} Таблица добычи, которая разыгрывается после смерти. */
+    this.lootTable = new LootTable(npcData.loot);
     this.dialogue = [...(npcData.dialogue || [])]; // Реплики NPC
+    this.questTopics = [...(npcData.questTopics || [])]; // Темы заданий, на которые NPC отвечает
     this.canHeal = npcData.canHeal || false; // Может ли лечить игрока
     this.shop = [...(npcData.shop || [])]; // Товары для продажи
     this.canWander = npcData.canWander || false; // Может ли перемещаться по карте
     this.fleesAtPercent = npcData.fleesAtPercent || 0; // Процент здоровья для побега
     this.specialAbilities = [...(npcData.specialAbilities || [])];
+    this.aggressive = npcData.aggressive || false; // Нападает ли при встрече с игроком
+    this.aggroLevelRange = npcData.aggroLevelRange || null; // [мин, макс] уровни игрока для нападения
+    this.assistsArea = npcData.assistsArea || false; // Защищает ли жителей своей зоны
     this.currentDialogue = 0; // Индекс текущей реплики в диалоге
+    /** Вещи, с которыми NPC появляется в мире (локальные ID шаблонов). */
+    this.startingItems = {
+      inventory: [...(npcData.inventory || [])],
+      equippedWeapon: npcData.equippedWeapon || null,
+      equippedArmor: npcData.equippedArmor || null,
+    };
+    /** @type {object[]} Экземпляры предметов, которые NPC носит с собой. */
+    this.inventory = [];
+    this.equippedWeapon = null; // Экземпляр оружия в руках
+    this.equippedArmor = null; // Экземпляр надетой брони
+    /** @type {StatusEffect[]} Действующие на NPC эффекты. */
+    this.statusEffects = [];
   }
 
   /**
@@ -59,6 +102,33 @@ export class NPC {
     const message = this.dialogue[this.currentDialogue];
     // Переключаемся на следующую реплику, зацикливая диалог
     this.currentDialogue = (this.currentDialogue + 1) % this.dialogue.length;
+    return this._formatSpeech(message, game);
+  }
+
+  /**
+   * Отвечает на реплику игрока, если в ней прозвучало ключевое слово одной из тем заданий,
+   * и отмечает игроку флаг задания этой темы.
+   * @param {string} phrase - Сказанное игроком.
+   * @param {import('../GameEngine').GameEngine} game - Экземпляр игрового движка.
+   * @returns {string|null} Ответ NPC или null, если тема не найдена.
+   */
+  answer(phrase, game) {
+    const text = phrase.toLowerCase();
+    const topic = this.questTopics.find(({ keyword }) => text.includes(keyword.toLowerCase()));
+    if (!topic) return null;
+
+    game.player.setQuestFlag(topic.questFlag);
+    return this._formatSpeech(topic.reply, game);
+  }
+
+  /**
+   * Оформляет реплику NPC: "<имя> говорит: "<текст>"".
+   * @param {string} message - Текст реплики.
+   * @param {import('../GameEngine').GameEngine} [game]
+   * @returns {string}
+   * @private
+   */
+  _formatSpeech(message, game) {
     const name = game ? game.colorize(this.name, `npc-name npc-${this.type}`) : this.name;
     const coloredMessage = game ? game.colorize(`"${message}"`, 'npc-speech') : `"${message}"`;
     return `${name} говорит: ${coloredMessage}`;
@@ -82,12 +152,80 @@ export class NPC {
     this.hitPoints = Math.min(this.maxHitPoints, this.hitPoints + amount);
   }
 
+  /**
+   * Возвращает строку урона NPC: урон оружия в руках или собственный урон без оружия.
+   * @returns {string}
+   */
+  getDamageDice() {
+    return this.equippedWeapon?.damage || this.damage;
+  }
+
   /**
    * Вычисляет урон, наносимый НПС
    * @returns {number} Количество урона.
    */
   rollDamage() {
-    return new DamageParser(this.damage).roll();
+    const damage = new DamageParser(this.getDamageDice()).roll();
+    const multiplier = StatusEffect.combineMultipliers(this.statusEffects, 'damageMultiplier');
+    if (multiplier !== 1) {
+      return Math.max(1, Math.floor(damage * multiplier));
+    }
+    return damage;
+  }
+
+  /**
+   * Возвращает бонус NPC к броску атаки.
+   * @returns {number}
+   */
+  getAttackBonus() {
+    return this.attackBonus;
+  }
+
+  /**
+   * Возвращает защиту NPC с учетом брони и эффектов.
+   * @returns {number}
+   */
+  getTotalDefense() {
+    const defense = this.defense + (this.equippedArmor?.armor || 0);
+    return Math.floor(defense * StatusEffect.combineMultipliers(this.statusEffects, 'defenseMultiplier'));
+  }
+
+  /**
+   * Накладывает эффект. Если такой эффект уже действует, он заменяется новым.
+   * @param {StatusEffect} effect - Накладываемый эффект.
+   */
+  addStatusEffect(effect) {
+    this.removeStatusEffect(effect.id);
+    this.statusEffects.push(effect);
+  }
+
+  /**
+   * Снимает эффект по его ID.
+   * @param {string} effectId - ID эффекта.
+   * @returns {boolean} `true`, если эффект был снят.
+   */
+  removeStatusEffect(effectId) {
+    const index = this.statusEffects.findIndex(effect => effect.id === effectId);
+    if (index === -1) return false;
+    this.statusEffects.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Проверяет, действует ли на NPC эффект.
+   * @param {string} effectId - ID эффекта.
+   * @returns {boolean}
+   */
+  hasStatusEffect(effectId) {
+    return this.statusEffects.some(effect => effect.id === effectId);
+  }
+
+  /**
+   * Проверяет, оглушен ли NPC (пропускает ход в бою).
+   * @returns {boolean}
+   */
+  isStunned() {
+    return this.statusEffects.some(effect => effect.stun);
   }
 
   /**
@@ -98,6 +236,31 @@ export class NPC {
     return this.type === 'hostile';
   }
 
+  /**
+   * Проверяет, нападет ли NPC на игрока при встрече.
+   * @param {import('./Player.js').Player} player - Игрок.
+   * @returns {boolean}
+   */
+  isAggressiveTowards(player) {
+    if (!this.aggressive || !this.isAlive()) return false;
+    if (!this.aggroLevelRange) return true;
+    const [minLevel, maxLevel] = this.aggroLevelRange;
+    return player.level >= minLevel && player.level <= maxLevel;
+  }
+
+  /**
+   * Проверяет, вступится ли NPC за атакованного игроком NPC.
+   * Враждебные существа помогают друг другу, а защитники зоны (`assistsArea`)
+   * помогают мирным жителям своей зоны.
+   * @param {NPC} victim - Атакованный NPC.
+   * @returns {boolean}
+   */
+  willAssist(victim) {
+    if (victim === this || !this.isAlive()) return false;
+    if (this.isHostile() && victim.isHostile()) return true;
+    return this.assistsArea && !victim.isHostile() && victim.area === this.area;
+  }
+
   /**
    * Проверяет, может ли NPC торговать (есть ли у него товары).
    * @returns {boolean} `true`, если NPC может торговать.
@@ -123,13 +286,54 @@ export class NPC {
   }
 
   /**
-   * Возвращает предметы, которые выпадают после смерти NPC.
-   * @returns {string[]} Массив ID предметов.
+   * Разыгрывает добычу, которая выпадает после смерти NPC.
+   * @returns {{items: string[], gold: number}} Локальные ID выпавших предметов и количество золота.
    */
   getDeathDrops() {
-    // В простой реализации возвращаем все дропы
-    // В более сложной можно добавить вероятности
-    return [...this.drops];
+    return this.lootTable.roll();
+  }
+
+  /**
+   * Возвращает предмет, надетый в слот для предметов указанного типа.
+   * @param {'weapon'|'armor'} type - Тип предмета.
+   * @returns {object|null} Экземпляр предмета или null, если слот пуст или такого слота нет.
+   */
+  getEquipped(type) {
+    const slot = NPC_EQUIPMENT_SLOTS[type];
+    return slot ? this[slot] : null;
+  }
+
+  /**
+   * Надевает предмет в слот по его типу, заменяя прежний.
+   * @param {object|null} item - Экземпляр предмета.
+   * @returns {boolean} `true`, если предмет надет.
+   */
+  equip(item) {
+    const slot = NPC_EQUIPMENT_SLOTS[item?.type];
+    if (!slot) return false;
+    this[slot] = item;
+    return true;
+  }
+
+  /**
+   * Снимает предмет из слота.
+   * @param {'weapon'|'armor'} type - Тип слота.
+   * @returns {object|null} Снятый экземпляр или null, если слот был пуст.
+   */
+  unequip(type) {
+    const item = this.getEquipped(type);
+    if (item) this[NPC_EQUIPMENT_SLOTS[type]] = null;
+    return item;
+  }
+
+  /**
+   * Забирает у NPC все вещи: инвентарь и экипировку (например, чтобы положить их в труп).
+   * @returns {object[]} Экземпляры предметов.
+   */
+  takeAllItems() {
+    const items = [...this.inventory, this.unequip('weapon'), this.unequip('armor')].filter(Boolean);
+    this.inventory = [];
+    return items;
   }
 
   /**
@@ -138,5 +342,6 @@ export class NPC {
   respawn() {
     this.hitPoints = this.maxHitPoints;
     this.currentDialogue = 0;
+    this.statusEffects = [];
   }
 }
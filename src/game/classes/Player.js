@@ -1,11 +1,24 @@
 
 import { DamageParser } from "../utils/damageParser.js";
+import { StatusEffect } from "./StatusEffect.js";
+import { TargetSpec } from "../utils/targetSpec.js";
+import { RussianMorphology } from "../utils/russianMorphology.js";
 
 /**
  * Представляет игрока, управляя его состоянием, характеристиками,
  * инвентарем и действиями в игровом мире.
  */
 export class Player {
+  /**
+   * Положения, в которых игрок не стоит на ногах: они ускоряют восстановление,
+   * но не дают двигаться и сражаться. `regen` - множитель восстановления, `label` - текст для сообщений.
+   */
+  static POSITIONS = {
+    sitting: { label: 'сидите', regen: 1.5 },
+    resting: { label: 'отдыхаете', regen: 2 },
+    sleeping: { label: 'спите', regen: 3 },
+  };
+
   /**
    * Создает экземпляр игрока.
    * @param {string} [name='Игрок'] - Имя игрока.
@@ -51,7 +64,7 @@ export class Player {
     this.inventory = []; // Массив объектов предметов
     /** @type {string} Глобальный ID текущей комнаты. */
     this.currentRoom = 'midgard:center';
-    /** @type {'idle'|'fighting'|'dead'} Состояние игрока. */
+    /** @type {'idle'|'fighting'|'dead'|'sitting'|'resting'|'sleeping'} Состояние игрока. */
     this.state = 'idle';
     /** @type {object|null} Экипированное оружие. */
     this.equippedWeapon = null;
@@ -69,6 +82,64 @@ export class Player {
     this.skillUsedThisRound = false;
     /** @type {string|null} ID комнаты, в которой умер игрок. */
     this.deathRoom = null;
+    /** @type {StatusEffect[]} Действующие на игрока эффекты. */
+    this.statusEffects = [];
+    /** @type {Object.<string, number>} Сколько раз игрок убил каждого NPC (ключ - глобальный ID NPC). */
+    this.killCounts = {};
+    /** @type {Object.<string, string>} Псевдонимы команд, заданные игроком (имя - шаблон с $1, $*). */
+    this.aliases = {};
+    /** @type {string[]} Глобальные ID посещенных комнат (для карты). */
+    this.visitedRooms = [];
+    /** @type {string[]} Найденные командой `search` скрытые выходы вида "globalRoomId|направление". */
+    this.discoveredSecrets = [];
+    /** @type {string[]} Флаги выполненных заданий (проверяются, например, стражами выходов). */
+    this.questFlags = [];
+  }
+
+  /**
+   * Отмечает флаг задания.
+   * @param {string} flag
+   */
+  setQuestFlag(flag) {
+    if (this.questFlags.includes(flag)) return;
+    this.questFlags = [...this.questFlags, flag];
+  }
+
+  /**
+   * Проверяет флаг задания.
+   * @param {string} flag
+   * @returns {boolean}
+   */
+  hasQuestFlag(flag) {
+    return this.questFlags.includes(flag);
+  }
+
+  /**
+   * Запоминает найденный скрытый выход.
+   * @param {string} secretId - ID выхода вида "globalRoomId|направление".
+   */
+  markDiscovered(secretId) {
+    if (this.discoveredSecrets.includes(secretId)) return;
+    this.discoveredSecrets = [...this.discoveredSecrets, secretId];
+  }
+
+  /**
+   * Отмечает комнату как посещенную.
+   * @param {string} roomId - Глобальный ID комнаты.
+   */
+  markVisited(roomId) {
+    if (this.visitedRooms.includes(roomId)) return;
+    // Новый массив, чтобы изменение заметил реактивный стор
+    this.visitedRooms = [...this.visitedRooms, roomId];
+  }
+
+  /**
+   * Проверяет, был ли игрок в комнате.
+   * @param {string} roomId - Глобальный ID комнаты.
+   * @returns {boolean}
+   */
+  hasVisited(roomId) {
+    return this.visitedRooms.includes(roomId);
   }
 
   /**
@@ -165,6 +236,23 @@ export class Player {
     return null;
   }
 
+  /**
+   * Запоминает убийство NPC.
+   * @param {string} globalNpcId - Глобальный ID NPC.
+   */
+  recordKill(globalNpcId) {
+    this.killCounts[globalNpcId] = (this.killCounts[globalNpcId] || 0) + 1;
+  }
+
+  /**
+   * Проверяет, убивал ли игрок этого NPC раньше.
+   * @param {string} globalNpcId - Глобальный ID NPC.
+   * @returns {boolean}
+   */
+  hasKilled(globalNpcId) {
+    return (this.killCounts[globalNpcId] || 0) > 0;
+  }
+
   /**
    * Проверяет, изучено ли умение.
    * @param {string} skillId - ID проверяемого умения.
@@ -174,6 +262,109 @@ export class Player {
     return this.skills.includes(skillId);
   }
 
+  /**
+   * Накладывает эффект. Если такой эффект уже действует, он заменяется новым (обновляется длительность).
+   * @param {StatusEffect} effect - Накладываемый эффект.
+   */
+  addStatusEffect(effect) {
+    this.removeStatusEffect(effect.id);
+    this.statusEffects.push(effect);
+  }
+
+  /**
+   * Снимает эффект по его ID.
+   * @param {string} effectId - ID эффекта.
+   * @returns {boolean} `true`, если эффект был снят.
+   */
+  removeStatusEffect(effectId) {
+    const index = this.statusEffects.findIndex(effect => effect.id === effectId);
+    if (index === -1) return false;
+    this.statusEffects.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Проверяет, действует ли на игрока эффект.
+   * @param {string} effectId - ID эффекта.
+   * @returns {boolean}
+   */
+  hasStatusEffect(effectId) {
+    return this.statusEffects.some(effect => effect.id === effectId);
+  }
+
+  /**
+   * Проверяет, оглушен ли игрок (пропускает ход в бою).
+   * @returns {boolean}
+   */
+  isStunned() {
+    return this.statusEffects.some(effect => effect.stun);
+  }
+
+  /**
+   * Возвращает итоговый множитель от всех эффектов (например, 'damageMultiplier').
+   * @param {string} key - Название модификатора.
+   * @returns {number}
+   */
+  getEffectMultiplier(key) {
+    return StatusEffect.combineMultipliers(this.statusEffects, key);
+  }
+
+  /**
+   * Возвращает значение характеристики с учетом бонусов от эффектов.
+   * @param {'strength'|'dexterity'|'constitution'|'intelligence'|'wisdom'|'charisma'} stat - Характеристика.
+   * @returns {number}
+   */
+  getEffectiveStat(stat) {
+    return this[stat] + StatusEffect.sumStatBonus(this.statusEffects, stat);
+  }
+
+  /**
+   * Проверяет, сидит, отдыхает или спит ли игрок.
+   * @returns {boolean}
+   */
+  isResting() {
+    return this.state in Player.POSITIONS;
+  }
+
+  /**
+   * Возвращает отказ для действий, которые нельзя выполнить, не встав на ноги.
+   * @returns {string|null} Сообщение об отказе или null, если игрок стоит.
+   */
+  getRestingRefusal() {
+    const position = Player.POSITIONS[this.state];
+    return position ? `Вы ${position.label}. Сначала встаньте (wake).` : null;
+  }
+
+  /**
+   * Рассчитывает восстановление здоровья и выносливости за один цикл регенерации.
+   * Здоровье зависит от телосложения, выносливость - от мудрости; отдых и сон ускоряют восстановление,
+   * а в бою и после смерти его нет.
+   * @returns {{hitPoints: number, stamina: number}}
+   */
+  getRegeneration() {
+    if (this.state === 'fighting' || this.state === 'dead') {
+      return { hitPoints: 0, stamina: 0 };
+    }
+    const multiplier = Player.POSITIONS[this.state]?.regen ?? 1;
+    const conBonus = Math.floor((this.getEffectiveStat('constitution') - 10) / 2);
+    const wisBonus = Math.floor((this.getEffectiveStat('wisdom') - 10) / 2);
+    return {
+      hitPoints: Math.max(1, Math.floor((1 + conBonus) * multiplier)),
+      stamina: Math.max(1, Math.floor((2 + wisBonus) * multiplier)),
+    };
+  }
+
+  /**
+   * Восстанавливает здоровье и выносливость на величину одного цикла регенерации.
+   * @returns {{hitPoints: number, stamina: number}} Фактически восстановленные значения.
+   */
+  regenerate() {
+    const regen = this.getRegeneration();
+    const oldStamina = this.stamina;
+    this.stamina = Math.min(this.maxStamina, this.stamina + regen.stamina);
+    return { hitPoints: this.heal(regen.hitPoints), stamina: this.stamina - oldStamina };
+  }
+
   /**
    * Проверяет, жив ли игрок.
    * @returns {boolean}
@@ -183,16 +374,21 @@ export class Player {
   }
 
   /**
-   * Находит предмет в инвентаре по его имени или ID.
+   * Находит предмет в инвентаре по его имени или ID (можно с номером: `2.зелье`).
    * @param {string} itemName - Название или ID предмета для поиска (может быть частичным).
    * @returns {object|undefined} Найденный предмет или undefined.
    */
   findItem(itemName) {
-    const searchName = itemName.toLowerCase();
-    return this.inventory.find(item => 
-      item.name.toLowerCase().includes(searchName) ||
-      (item.globalId && item.globalId.toLowerCase().includes(searchName))
-    );
+    return new TargetSpec(itemName).selectOne(this.inventory);
+  }
+
+  /**
+   * Находит предметы в инвентаре по цели (`зелье`, `2.зелье`, `all`, `all.зелье`).
+   * @param {string} targetName - Цель в формате `TargetSpec`.
+   * @returns {object[]} Найденные предметы.
+   */
+  findItems(targetName) {
+    return new TargetSpec(targetName).select(this.inventory);
   }
 
   /**
@@ -211,14 +407,58 @@ export class Player {
     this.skills = Array.isArray(data.skills) ? data.skills : []; // Убедимся, что это массив
     this.skillCooldowns = data.skillCooldowns || {};
     this.nextAttackIsSkill = null; // Сбрасываем, чтобы не зациклилось умение после загрузки
+    this.statusEffects = (data.statusEffects || []).map(effectData => new StatusEffect(effectData));
+    this.killCounts = data.killCounts || {};
+    this.aliases = data.aliases || {};
+    // В старых сохранениях посещенных комнат нет: считаем посещенной хотя бы текущую
+    this.visitedRooms = Array.isArray(data.visitedRooms) ? data.visitedRooms : [this.currentRoom];
+    this.discoveredSecrets = data.discoveredSecrets || [];
+    this.questFlags = data.questFlags || [];
   }
 
   /**
-   * Рассчитывает общий вес всех предметов в инвентаре.
+   * Рассчитывает общий вес всех предметов в инвентаре, включая содержимое контейнеров.
    * @returns {number} Общий вес.
    */
   getTotalWeight() {
-    return this.inventory.reduce((total, item) => total + (item.weight || 0), 0);
+    return this.inventory.reduce((total, item) => total + this.getItemWeight(item), 0);
+  }
+
+  /**
+   * Рассчитывает вес предмета вместе с содержимым.
+   * Содержимое контейнера весит меньше на долю `weightReduction` (например, 0.25 - на четверть).
+   * @param {object} item - Экземпляр предмета.
+   * @returns {number} Вес предмета.
+   */
+  getItemWeight(item) {
+    const ownWeight = item.weight || 0;
+    if (!item.contents) return ownWeight;
+    return ownWeight + this.getContentsWeight(item) * (1 - (item.weightReduction || 0));
+  }
+
+  /**
+   * Рассчитывает вес содержимого контейнера без учета снижения веса.
+   * Используется для проверки вместимости (`capacity`).
+   * @param {object} container - Экземпляр контейнера.
+   * @returns {number} Вес содержимого.
+   */
+  getContentsWeight(container) {
+    return (container.contents || []).reduce((total, item) => total + this.getItemWeight(item), 0);
+  }
+
+  /**
+   * Возвращает все контейнеры, которые несет игрок, включая вложенные в незапертые контейнеры.
+   * @returns {object[]} Экземпляры контейнеров.
+   */
+  getCarriedContainers() {
+    const containers = [];
+    const collect = items => items.forEach(item => {
+      if (!item.contents) return;
+      containers.push(item);
+      if (!item.locked) collect(item.contents);
+    });
+    collect(this.inventory);
+    return containers;
   }
 
   /**
@@ -228,7 +468,7 @@ export class Player {
    */
   canCarry(item) {
     const maxWeight = this.strength * 10; // Максимальный вес = сила * 10
-    return this.getTotalWeight() + (item.weight || 0) <= maxWeight;
+    return this.getTotalWeight() + this.getItemWeight(item) <= maxWeight;
   }
 
   /**
@@ -253,20 +493,20 @@ export class Player {
 
     // Проверяем, достаточно ли места для старого предмета, если он есть
     if (equippedItem && !this.canCarry(equippedItem)) {
-      return `Вы не можете экипировать ${item.name}, так как в инвентаре не хватит места для ${equippedItem.name}.`;
+      return `Вы не можете экипировать ${RussianMorphology.decline(item, 'accusative')}, так как в инвентаре не хватит места для ${RussianMorphology.decline(equippedItem, 'genitive')}.`;
     }
 
     // Если в слоте уже есть предмет, возвращаем его в инвентарь.
     let result = '';
     if (equippedItem) {
       this.addItem(equippedItem);
-      result += `Вы сняли ${equippedItem.name}. `;
+      result += `Вы сняли ${RussianMorphology.decline(equippedItem, 'accusative')}. `;
     }
 
     this[mapping.slot] = item;
     // Удаляем новый предмет из инвентаря, так как он теперь экипирован.
     this.removeItem(item.globalId);
-    result += `Вы экипировали ${item.name}.`;
+    result += `Вы экипировали ${RussianMorphology.decline(item, 'accusative')}.`;
     return result;
   }
 
@@ -290,11 +530,11 @@ export class Player {
     }
 
     if (!this.canCarry(equippedItem)) {
-      return `Вы не можете снять ${equippedItem.name}, в инвентаре нет места.`;
+      return `Вы не можете снять ${RussianMorphology.decline(equippedItem, 'accusative')}, в инвентаре нет места.`;
     }
 
     this.addItem(equippedItem);
-    const itemName = equippedItem.name;
+    const itemName = RussianMorphology.decline(equippedItem, 'accusative');
     this[mapping.slot] = null;
     return `Вы сняли ${itemName}.`;
   }
@@ -324,9 +564,20 @@ export class Player {
    * @returns {number}
    */
   getTotalDefense() {
-    const dexBonus = Math.floor((this.dexterity - 10) / 2);
+    const dexBonus = Math.floor((this.getEffectiveStat('dexterity') - 10) / 2);
     const armorBonus = this.getArmorDefenseBonus();
-    return 10 + dexBonus + armorBonus;
+    const defense = 10 + dexBonus + armorBonus;
+    // Эффекты (например, "Слепая ярость") могут менять защиту на время действия
+    return Math.floor(defense * this.getEffectMultiplier('defenseMultiplier'));
+  }
+
+  /**
+   * Рассчитывает бонус к броску атаки: ловкость и опыт (половина уровня).
+   * @returns {number}
+   */
+  getAttackBonus() {
+    const dexBonus = Math.floor((this.getEffectiveStat('dexterity') - 10) / 2);
+    return dexBonus + Math.floor(this.level / 2);
   }
 
   /**
@@ -338,7 +589,7 @@ export class Player {
     let avgDamage = 2.5;
     
     // Бонус от силы
-    const strBonus = Math.floor((this.strength - 10) / 2);
+    const strBonus = Math.floor((this.getEffectiveStat('strength') - 10) / 2);
     
     // Бонус от оружия
     if (this.equippedWeapon && this.equippedWeapon.damage) {
@@ -89,4 +89,50 @@ describe('Player', () => {
     expect(player.inventory.length).toBe(1);
     expect(player.findItem('меч')).toBeUndefined();
   });
-});
\ No newline at end of file
+
+  it('должен находить предметы по номеру и через all', () => {
+    const sword = { name: 'Железный меч', globalId: 'midgard:iron_sword#1' };
+    const firstPotion = { name: 'Зелье лечения', globalId: 'midgard:healing_potion#2' };
+    const secondPotion = { name: 'Зелье лечения', globalId: 'midgard:healing_potion#3' };
+    [sword, firstPotion, secondPotion].forEach(item => player.addItem(item));
+
+    expect(player.findItem('2.зелье')).toBe(secondPotion);
+    expect(player.findItem('3.зелье')).toBeUndefined();
+    expect(player.findItem('all')).toBeUndefined();
+    expect(player.findItems('all.зелье')).toEqual([firstPotion, secondPotion]);
+    expect(player.findItems('all')).toHaveLength(3);
+  });
+
+  it('должен учитывать вес содержимого контейнеров со снижением', () => {
+    const potion = { name: 'Зелье', globalId: 'potion#1', weight: 4 };
+    const pouch = { name: 'Мешочек', globalId: 'pouch#1', weight: 1, contents: [potion] };
+    const bag = { name: 'Сумка', globalId: 'bag#1', weight: 2, weightReduction: 0.5, contents: [pouch] };
+    player.addItem(bag);
+
+    expect(player.getContentsWeight(bag)).toBe(5);
+    expect(player.getTotalWeight()).toBe(2 + 5 * 0.5);
+    expect(player.getCarriedContainers()).toEqual([bag, pouch]);
+  });
+
+  it('должен восстанавливаться быстрее во время отдыха и сна, но не в бою', () => {
+    player.constitution = 14; // +2 к восстановлению здоровья
+    expect(player.getRegeneration()).toEqual({ hitPoints: 3, stamina: 2 });
+
+    player.state = 'sleeping';
+    expect(player.getRegeneration()).toEqual({ hitPoints: 9, stamina: 6 });
+
+    player.state = 'fighting';
+    expect(player.getRegeneration()).toEqual({ hitPoints: 0, stamina: 0 });
+  });
+
+  it('должен восстанавливать здоровье и выносливость не выше максимума', () => {
+    player.hitPoints = 19;
+    player.stamina = 50;
+
+    const restored = player.regenerate();
+
+    expect(restored).toEqual({ hitPoints: 1, stamina: 2 });
+    expect(player.hitPoints).toBe(20);
+    expect(player.stamina).toBe(52);
+  });
+});
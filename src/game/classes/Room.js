@@ -1,4 +1,26 @@
 
+import { TargetSpec } from '../utils/targetSpec.js';
+import { ExitGuard } from './ExitGuard.js';
+
+/**
+ * @typedef {object} Door
+ * @property {string} name - Название двери (например, "окованная дверь").
+ * @property {object} [forms] - Падежные формы названия (см. RussianMorphology).
+ * @property {'open'|'closed'|'locked'} state - Текущее состояние.
+ * @property {'open'|'closed'|'locked'} initialState - Состояние из JSON зоны, к которому дверь возвращается при сбросе.
+ * @property {string} [key] - Локальный ID шаблона ключа в зоне комнаты. Без ключа дверь нельзя запереть.
+ * @property {number} [pickDifficulty] - Сложность взлома замка (d20 + модификатор ловкости). Без нее замок не взломать.
+ */
+
+/**
+ * @typedef {object} ExitObject
+ * @property {string} room - Локальный ID комнаты назначения.
+ * @property {string} [area] - ID зоны назначения (если не указан - зона текущей комнаты).
+ * @property {Door} [door] - Дверь на выходе.
+ * @property {boolean} [hidden] - Скрытый выход: не виден игроку и не используется NPC, пока его не найдут командой `search`.
+ * @property {number} [searchDifficulty] - Сложность поиска скрытого выхода.
+ */
+
 /**
  * Представляет игровую локацию (комнату).
  * Управляет информацией о комнате, включая выходы, предметы и NPC.
@@ -12,8 +34,11 @@ export class Room {
    * @property {string} name - Название комнаты.
    * @property {string} description - Описание комнаты.
    * @property {object} exits - Объект с выходами.
-   * @property {string[]} items - Массив локальных ID предметов в комнате.
+   * @property {string[]} items - Массив локальных ID шаблонов предметов в комнате (WorldManager заменяет их экземплярами).
    * @property {string[]} npcs - Массив локальных ID NPC в комнате.
+   * @property {string[]} hiddenItems - Массив локальных ID шаблонов спрятанных предметов (их находят командой `search`).
+   * @property {number} [searchDifficulty] - Сложность поиска спрятанных предметов.
+   * @property {object} [guards] - Стражи выходов (см. ExitGuard), ключ - направление.
    */
   constructor(roomData) {
     this.id = roomData.id;
@@ -22,35 +47,132 @@ export class Room {
     this.description = roomData.description;
     /** @type {{x: number, y: number}} Координаты комнаты на карте. */
     this.map = roomData.map; // Координаты комнаты на карте {x, y}
-    /** @type {Map<string, string|object>} Карта выходов, где ключ - направление, а значение - ID комнаты или объект перехода. */
-    this.exits = new Map(Object.entries(roomData.exits || {}));
-    // Преобразуем локальные ID предметов в глобальные при создании комнаты
-    /** @type {string[]} Массив глобальных ID предметов в комнате. */
+    /**
+     * Карта выходов, где ключ - направление, а значение - ID комнаты или объект перехода.
+     * Объекты копируются: состояние дверей у каждой комнаты свое, а данные зоны в кэше не меняются.
+     * @type {Map<string, string|ExitObject>}
+     */
+    this.exits = new Map(Object.entries(roomData.exits || {}).map(([direction, exit]) => [direction, Room._copyExit(exit)]));
+    // Преобразуем локальные ID шаблонов в глобальные при создании комнаты
+    /** @type {string[]} Массив ID экземпляров предметов в комнате. */
     this.items = (roomData.items || []).map(localId => `${roomData.area}:${localId}`);
+    /** @type {string[]} Массив ID экземпляров спрятанных предметов: они не видны, пока их не найдут. */
+    this.hiddenItems = (roomData.hiddenItems || []).map(localId => `${roomData.area}:${localId}`);
+    /** @type {number|null} Сложность поиска спрятанных предметов (null - сложность по умолчанию). */
+    this.searchDifficulty = roomData.searchDifficulty ?? null;
+    /** @type {Map<string, ExitGuard>} Стражи выходов, ключ - охраняемое направление. */
+    this.guards = new Map(Object.entries(roomData.guards || {})
+      .map(([direction, guardData]) => [direction, new ExitGuard({ direction, ...guardData })]));
     /** @type {string[]} Массив локальных ID NPC в комнате. */
     this.npcs = [...(roomData.npcs || [])]; // NPC остаются с локальными ID, т.к. они не перемещаются между зонами (пока)
   }
 
   /**
-   * Возвращает список доступных направлений для выхода.
+   * Копирует выход из данных зоны. Дверь запоминает начальное состояние для сброса.
+   * @param {string|ExitObject} exit
+   * @returns {string|ExitObject}
+   * @private
+   */
+  static _copyExit(exit) {
+    if (typeof exit !== 'object') return exit;
+    const copy = { ...exit };
+    if (exit.door) {
+      const state = exit.door.state || 'closed';
+      copy.door = { ...exit.door, state, initialState: state };
+    }
+    return copy;
+  }
+
+  /**
+   * Возвращает список видимых направлений для выхода (скрытые выходы не включаются).
    * @returns {string[]} Массив названий выходов (направлений).
    */
   getExits() {
-    return Array.from(this.exits.keys());
+    return Array.from(this.exits.keys()).filter(direction => !this.exits.get(direction).hidden);
+  }
+
+  /**
+   * Возвращает видимые направления, через которые можно пройти прямо сейчас (без закрытых дверей).
+   * @returns {string[]}
+   */
+  getPassableExits() {
+    return this.getExits().filter(direction => this.isExitOpen(direction));
   }
 
   /**
-   * Возвращает данные о выходе по указанному направлению.
+   * Возвращает данные о видимом выходе по указанному направлению.
    * @param {string} direction - Направление (например, "север").
-   * @returns {string|object|null} ID комнаты (для перехода внутри зоны), объект перехода (для межзонового перехода) или null, если выход не найден.
+   * @returns {string|ExitObject|null} ID комнаты (для перехода внутри зоны), объект перехода (для межзонового перехода или выхода с дверью) или null, если выход не найден или скрыт.
    */
   getExit(direction) {
-    return this.exits.get(direction.toLowerCase()) || null;
+    const exit = this.exits.get(direction.toLowerCase());
+    return exit && !exit.hidden ? exit : null;
+  }
+
+  /**
+   * Возвращает направления скрытых выходов.
+   * @returns {string[]}
+   */
+  getHiddenExits() {
+    return Array.from(this.exits.keys()).filter(direction => this.exits.get(direction).hidden);
+  }
+
+  /**
+   * Делает скрытый выход видимым.
+   * @param {string} direction - Направление.
+   * @returns {boolean} `true`, если выход был скрыт.
+   */
+  revealExit(direction) {
+    const exit = this.exits.get(direction);
+    if (!exit?.hidden) return false;
+    exit.hidden = false;
+    return true;
+  }
+
+  /**
+   * Достает спрятанный предмет: он начинает лежать в комнате на виду.
+   * @param {string} globalItemId - ID экземпляра предмета.
+   * @returns {boolean} `true`, если предмет был спрятан в комнате.
+   */
+  revealItem(globalItemId) {
+    const index = this.hiddenItems.indexOf(globalItemId);
+    if (index === -1) return false;
+    this.hiddenItems.splice(index, 1);
+    this.addItem(globalItemId);
+    return true;
+  }
+
+  /**
+   * Возвращает стража выхода.
+   * @param {string} direction - Направление.
+   * @returns {ExitGuard|null}
+   */
+  getGuard(direction) {
+    return this.guards.get(direction.toLowerCase()) || null;
+  }
+
+  /**
+   * Возвращает дверь на выходе.
+   * @param {string} direction - Направление.
+   * @returns {Door|null} Дверь или null, если выхода или двери нет.
+   */
+  getDoor(direction) {
+    return this.getExit(direction)?.door || null;
+  }
+
+  /**
+   * Проверяет, можно ли пройти через выход: дверь на нем отсутствует или открыта.
+   * @param {string} direction - Направление.
+   * @returns {boolean}
+   */
+  isExitOpen(direction) {
+    const exit = this.exits.get(direction.toLowerCase());
+    return Boolean(exit) && (!exit.door || exit.door.state === 'open');
   }
 
   /**
    * Добавляет предмет в комнату.
-   * @param {string} globalItemId - Глобальный ID предмета.
+   * @param {string} globalItemId - ID экземпляра предмета.
    */
   addItem(globalItemId) {
     if (!this.items.includes(globalItemId)) {
@@ -60,7 +182,7 @@ export class Room {
 
   /**
    * Удаляет предмет из комнаты.
-   * @param {string} globalItemId - Глобальный ID предмета.
+   * @param {string} globalItemId - ID экземпляра предмета.
    * @returns {boolean} `true`, если предмет был успешно удален.
    */
   removeItem(globalItemId) {
@@ -74,7 +196,7 @@ export class Room {
 
   /**
    * Проверяет, есть ли предмет в комнате.
-   * @param {string} globalItemId - Глобальный ID предмета.
+   * @param {string} globalItemId - ID экземпляра предмета.
    * @returns {boolean} `true`, если предмет найден.
    */
   hasItem(globalItemId) {
@@ -152,21 +274,25 @@ export class Room {
     if (this.exits.size > 0) {
       const exitNames = this.getExits().map(exit => {
         const exitData = this.getExit(exit);
-        if (typeof exitData === 'object') {
-          // Если выход - это объект, значит это межзоновый переход
+        const notes = [];
+        // Переход в другую зону
+        if (typeof exitData === 'object' && exitData.area && exitData.area !== this.area) {
           const area = game.world.areas.get(exitData.area);
-          return colorize(`${exit} (в ${area?.name || exitData.area})`, 'exit-name');
+          notes.push(`в ${area?.name || exitData.area}`);
         }
-        return colorize(exit, 'exit-name');
+        if (exitData.door) {
+          notes.push(`${exitData.door.name}, ${exitData.door.state === 'open' ? 'открыто' : 'закрыто'}`);
+        }
+        return colorize(notes.length > 0 ? `${exit} (${notes.join('; ')})` : exit, 'exit-name');
       });
-      desc += `\n${colorize('Выходы:', 'info-label')} ${exitNames.join(', ')}\n`;
+      if (exitNames.length > 0) desc += `\n${colorize('Выходы:', 'info-label')} ${exitNames.join(', ')}\n`;
     }
     
     // Добавляем информацию о предметах
     if (this.items.length > 0) {
       desc += `\n${colorize('Вы видите:', 'info-label')}\n`;
       this.items.forEach(globalId => { 
-        const item = game.world.items.get(globalId); 
+        const item = game.world.getItemInstance(globalId); 
         if (item) desc += `  ${colorize(item.name, 'item-name')}\n`; 
       });
     }
@@ -181,29 +307,36 @@ export class Room {
   }
 
   /**
-   * Находит глобальный ID предмета в комнате по его имени или ID.
+   * Находит ID экземпляров предметов в комнате по цели (`зелье`, `2.зелье`, `all`, `all.зелье`).
+   * @param {string} targetName - Цель в формате `TargetSpec`.
+   * @param {import('../GameEngine.js').GameEngine} game - Экземпляр движка для получения данных о предмете.
+   * @returns {string[]} ID найденных экземпляров.
+   */
+  findItems(targetName, game) {
+    return new TargetSpec(targetName).select(this.items, globalId => game.world.getItemInstance(globalId));
+  }
+
+  /**
+   * Находит ID экземпляра предмета в комнате по его имени или ID шаблона (можно с номером: `2.зелье`).
    * @param {string} targetName - Имя или ID для поиска (может быть частичным).
    * @param {import('../GameEngine.js').GameEngine} game - Экземпляр движка для получения данных о предмете.
-   * @returns {string|null} Глобальный ID предмета или null, если не найден.
+   * @returns {string|null} ID экземпляра предмета или null, если не найден.
    */
   findItem(targetName, game) {
-    return this.items.find(globalId => {
-      const item = game.world.items.get(globalId);
-      return item && (item.name.toLowerCase().includes(targetName) || item.id.toLowerCase().includes(targetName));
-    });
+    return new TargetSpec(targetName).selectOne(this.items, globalId => game.world.getItemInstance(globalId)) ?? null;
   }
 
   /**
-   * Находит локальный ID живого NPC в комнате по его имени или ID.
+   * Находит локальный ID живого NPC в комнате по его имени или ID (можно с номером: `2.крыса`).
    * @param {string} targetName - Имя или ID для поиска (может быть частичным).
    * @param {import('../GameEngine.js').GameEngine} game - Экземпляр движка для получения данных о NPC.
    * @param {string} areaId - ID текущей зоны.
    * @returns {string|null} Локальный ID NPC или null, если не найден.
    */
   findNpc(targetName, game, areaId) {
-    return this.npcs.find(localId => {
+    return new TargetSpec(targetName).selectOne(this.npcs, localId => {
       const npc = game.getNpc(localId, areaId);
-      return npc && npc.isAlive() && (npc.name.toLowerCase().includes(targetName) || npc.id.toLowerCase().includes(targetName));
-    });
+      return npc?.isAlive() ? npc : null;
+    }) ?? null;
   }
 }
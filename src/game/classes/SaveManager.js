@@ -1,3 +1,12 @@
+import { StatusEffect } from './StatusEffect.js';
+
+/**
+ * Отбирает эффекты, которые сохраняются: раундовые действуют только в пределах боя, а бой не сохраняется.
+ * @param {StatusEffect[]} effects
+ * @returns {StatusEffect[]}
+ */
+const persistentEffects = effects => effects.filter(effect => effect.unit !== 'round');
+
 /**
  * @class SaveManager
  * @description Управляет логикой сохранения и загрузки состояния игры.
@@ -16,6 +25,7 @@ export class SaveManager {
    * @returns {void}
    */
   saveGame() {
+    const world = this.game.world;
     const gameData = {
       player: {
         name: this.game.player.name,
@@ -30,14 +40,20 @@ export class SaveManager {
         intelligence: this.game.player.intelligence,
         wisdom: this.game.player.wisdom,
         charisma: this.game.player.charisma,
-        inventory: this.game.player.inventory,
+        inventory: this.game.player.inventory.map(item => world.serializeItemInstance(item)),
         gold: this.game.player.gold,
         currentRoom: this.game.player.currentRoom,
         state: this.game.player.state,
-        equippedWeapon: this.game.player.equippedWeapon,
-        equippedArmor: this.game.player.equippedArmor,
+        equippedWeapon: this.game.player.equippedWeapon && world.serializeItemInstance(this.game.player.equippedWeapon),
+        equippedArmor: this.game.player.equippedArmor && world.serializeItemInstance(this.game.player.equippedArmor),
         skills: Array.from(this.game.player.skills),
         deathRoom: this.game.player.deathRoom,
+        statusEffects: persistentEffects(this.game.player.statusEffects),
+        killCounts: this.game.player.killCounts,
+        aliases: this.game.player.aliases,
+        visitedRooms: this.game.player.visitedRooms,
+        discoveredSecrets: this.game.player.discoveredSecrets,
+        questFlags: this.game.player.questFlags,
         ui_version: this.game.player.ui_version || 0
       },
       loadedAreaIds: Array.from(this.game.world.loadedAreaIds),
@@ -45,6 +61,13 @@ export class SaveManager {
         npcs: {},
         rooms: {},
         npcLocations: Array.from(this.game.world.npcLocationMap.entries()),
+        // Только двери, состояние которых отличается от начального
+        doors: world.getDoorStates(),
+        // Сколько тиков прошло с последнего сброса каждой зоны
+        zoneAges: this.game.zoneResetManager.ages,
+        // Экземпляры предметов хранятся отдельно, а комнаты и инвентарь ссылаются на них по ID
+        items: Array.from(world.itemInstances.values()).map(item => world.serializeItemInstance(item)),
+        nextItemInstanceId: world.nextItemInstanceId,
       },
       timestamp: Date.now()
     };
@@ -53,6 +76,10 @@ export class SaveManager {
     for (const [globalNpcId, npc] of this.game.world.npcs.entries()) {
       gameData.worldState.npcs[globalNpcId] = {
         hitPoints: npc.hitPoints,
+        statusEffects: persistentEffects(npc.statusEffects),
+        inventory: npc.inventory.map(item => item.globalId),
+        equippedWeapon: npc.equippedWeapon?.globalId ?? null,
+        equippedArmor: npc.equippedArmor?.globalId ?? null,
       };
     }
 
@@ -60,6 +87,7 @@ export class SaveManager {
     for (const [globalRoomId, room] of this.game.world.rooms.entries()) {
       gameData.worldState.rooms[globalRoomId] = {
         items: room.items,
+        hiddenItems: room.hiddenItems,
       };
     }
 
@@ -88,7 +116,11 @@ export class SaveManager {
         await this.game.world.loadArea(areaId);
       }
 
+      // Шаблоны спрятанных предметов из данных зон - до того, как экземпляры будут заменены сохраненными
+      const initialHiddenItems = this._getHiddenItemTemplates();
+
       this.game.player.load(gameData.player);
+      this._restoreItemInstances(gameData);
 
       // Применяем сохраненное состояние мира поверх стандартного
       if (gameData.worldState) {
@@ -98,6 +130,17 @@ export class SaveManager {
             const npc = this.game.world.npcs.get(globalNpcId);
             if (npc) {
               npc.hitPoints = npcState.hitPoints;
+              npc.statusEffects = (npcState.statusEffects || []).map(effectData => new StatusEffect(effectData));
+              if (npcState.inventory) {
+                npc.inventory = npcState.inventory.map(itemId => this.game.world.getItemInstance(itemId)).filter(Boolean);
+                npc.equippedWeapon = this.game.world.getItemInstance(npcState.equippedWeapon);
+                npc.equippedArmor = this.game.world.getItemInstance(npcState.equippedArmor);
+              } else {
+                // В старых сохранениях вещей NPC не было - выдаем их заново
+                npc.inventory = [];
+                npc.equippedWeapon = npc.equippedArmor = null;
+                this.game.world.outfitNpc(npc);
+              }
             }
           }
         }
@@ -106,13 +149,20 @@ export class SaveManager {
           for (const [globalRoomId, roomState] of Object.entries(gameData.worldState.rooms)) {
             const room = this.game.world.rooms.get(globalRoomId);
             if (room) {
-              room.items = roomState.items;
+              room.items = this._toInstanceIds(roomState.items);
+              // В сохранениях до появления поиска спрятанных предметов нет - берем их из данных зоны
+              room.hiddenItems = this._toInstanceIds(roomState.hiddenItems ?? initialHiddenItems.get(globalRoomId) ?? []);
             }
           }
         }
+        // Найденные игроком скрытые выходы снова видны
+        this.game.world.revealDiscoveredExits(this.game.player.discoveredSecrets);
+        // Восстанавливаем открытые, закрытые и запертые двери
+        this.game.world.restoreDoorStates(gameData.worldState.doors);
         // Восстанавливаем карту расположения NPC
         this.game.world.npcLocationMap = new Map(gameData.worldState.npcLocations || []);
         this.game.world.syncRoomsFromNpcMap();
+        this.game.zoneResetManager.ages = { ...(gameData.worldState.zoneAges || {}) };
       }
 
       return true;
@@ -121,4 +171,49 @@ export class SaveManager {
       return false;
     }
   }
+
+  /**
+   * Заменяет ID шаблонов из старых сохранений новыми экземплярами; ID существующих экземпляров остаются как есть.
+   * @param {string[]} itemIds - ID экземпляров или шаблонов.
+   * @returns {string[]} ID экземпляров.
+   * @private
+   */
+  _toInstanceIds(itemIds) {
+    const world = this.game.world;
+    return itemIds
+      .map(itemId => world.itemInstances.has(itemId) ? itemId : world.createItemInstance(itemId)?.globalId)
+      .filter(Boolean);
+  }
+
+  /**
+   * Собирает шаблоны спрятанных предметов загруженных комнат.
+   * @returns {Map<string, string[]>} Глобальный ID комнаты - ID шаблонов.
+   * @private
+   */
+  _getHiddenItemTemplates() {
+    const world = this.game.world;
+    const templates = new Map();
+    for (const [globalRoomId, room] of world.rooms.entries()) {
+      templates.set(globalRoomId, room.hiddenItems.map(itemId => world.getItemInstance(itemId)?.templateId).filter(Boolean));
+    }
+    return templates;
+  }
+
+  /**
+   * Восстанавливает экземпляры предметов мира, инвентарь и экипировку игрока.
+   * Экземпляры, созданные при загрузке зон, заменяются сохраненными.
+   * @param {object} gameData - Данные сохранения.
+   * @private
+   */
+  _restoreItemInstances(gameData) {
+    const world = this.game.world;
+    const player = this.game.player;
+    world.itemInstances.clear();
+    world.nextItemInstanceId = gameData.worldState?.nextItemInstanceId || 1;
+    (gameData.worldState?.items || []).forEach(itemData => world.restoreItemInstance(itemData));
+    player.inventory = (gameData.player.inventory || []).map(itemData => world.restoreItemInstance(itemData)).filter(Boolean);
+    player.equippedWeapon = world.restoreItemInstance(gameData.player.equippedWeapon);
+    player.equippedArmor = world.restoreItemInstance(gameData.player.equippedArmor);
+    world.resolveContainerContents();
+  }
 }
@@ -0,0 +1,314 @@
+/**
+ * @class SkillManager
+ * @description Применяет умения игрока на основе их описания в skills.json.
+ * Все общие проверки (знание умения, перезарядка, стоимость, состояние боя) выполняются здесь,
+ * а конкретное действие определяется полем `effect.type`:
+ * - `damage` - следующая атака наносит урон с множителем `damageMultiplier`;
+ * - `debuff` - следующая атака вместо урона накладывает на цель эффект `effect.statusEffect`;
+ * - `heal` - восстанавливает здоровье или выносливость игрока;
+ * - `buff` - накладывает на игрока эффект `effect.statusEffect` (см. statusEffects.json);
+ * - `teleport` - мгновенно переносит игрока в указанную комнату.
+ */
+export class SkillManager {
+  /**
+   * @param {import('../GameEngine.js').GameEngine} game - Экземпляр игрового движка.
+   */
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * Регистрирует каждое активное умение как отдельную команду (например, `kick крыса`),
+   * чтобы для нового умения было достаточно записи в skills.json.
+   */
+  registerSkillCommands() {
+    for (const skill of this.game.skillsData.values()) {
+      if (skill.passive) continue;
+      this.game.commandManager.register(
+        skill.id,
+        (game, cmd) => this.useSkill(skill.id, cmd.target),
+        `умение "${skill.name}"`,
+        skill.aliases || []
+      );
+    }
+  }
+
+  /**
+   * Находит умение по ID, псевдониму или названию.
+   * @param {string} name - ID, псевдоним или название умения.
+   * @returns {object|null} Данные умения или null.
+   */
+  getSkill(name) {
+    if (!name) return null;
+    const search = name.toLowerCase();
+    for (const skill of this.game.skillsData.values()) {
+      if (skill.id === search || skill.name.toLowerCase() === search || (skill.aliases || []).includes(search)) {
+        return skill;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Разбирает строку вида "<умение> [цель]". Название умения может состоять из нескольких слов.
+   * @param {string} input - Строка аргументов команды `use`.
+   * @returns {{skill: object, target: string}|null} Умение и оставшаяся часть строки или null.
+   */
+  parseSkillInput(input) {
+    if (!input) return null;
+    const words = input.toLowerCase().split(/\s+/);
+    // Сначала пробуем самые длинные варианты, чтобы "усиленный удар крыса" не совпал с "удар"
+    for (let length = words.length; length > 0; length--) {
+      const skill = this.getSkill(words.slice(0, length).join(' '));
+      if (skill) {
+        return { skill, target: words.slice(length).join(' ') };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Проверяет, можно ли использовать команду умения во время боя.
+   * @param {string} commandName - Название команды.
+   * @returns {boolean}
+   */
+  isCombatCommand(commandName) {
+    const skill = this.game.skillsData.get(commandName);
+    return !!skill && !skill.passive && !skill.outOfCombatOnly;
+  }
+
+  /**
+   * Проверяет все условия и применяет умение.
+   * @param {string} skillId - ID умения.
+   * @param {string} [targetName=''] - Имя цели (для умений с `target: "npc"`).
+   * @returns {Promise<string>} Сообщение о результате.
+   */
+  async useSkill(skillId, targetName = '') {
+    const { player } = this.game;
+    const skill = this.game.skillsData.get(skillId);
+    if (!skill) {
+      return 'Информация об умении не найдена.';
+    }
+    if (!player.hasSkill(skillId)) {
+      return 'Вы не знаете этого умения.';
+    }
+    if (skill.passive) {
+      return `"${skill.name}" - пассивное умение, оно действует само.`;
+    }
+    if (player.state === 'dead') {
+      return 'Вы мертвы и не можете использовать эту команду.';
+    }
+    // Сидя, отдыхая или во сне нельзя применять никакие умения, в том числе вызванные через `use`
+    const restingRefusal = player.getRestingRefusal();
+    if (restingRefusal) {
+      return restingRefusal;
+    }
+    if (skill.outOfCombatOnly && player.state === 'fighting') {
+      return 'Вы не можете сделать это во время боя!';
+    }
+    if (player.skillCooldowns[skillId] > 0) {
+      return `Умение "${skill.name}" еще перезаряжается. Осталось: ${player.skillCooldowns[skillId]} сек.`;
+    }
+    if (player.stamina < (skill.cost || 0)) {
+      return `Недостаточно выносливости для "${skill.name}". Нужно: ${skill.cost}, у вас: ${player.stamina}.`;
+    }
+
+    switch (skill.effect?.type) {
+      case 'damage':
+      case 'debuff':
+        return this._prepareAttackSkill(skill, targetName);
+      case 'heal':
+        return this._applyHeal(skill);
+      case 'buff':
+        return this._applyBuff(skill);
+      case 'teleport':
+        return this._applyTeleport(skill);
+      default:
+        return `Вы не знаете, как применить "${skill.name}".`;
+    }
+  }
+
+  /**
+   * Списывает стоимость умения и запускает перезарядку.
+   * @param {object} skill - Данные умения.
+   * @private
+   */
+  _payCost(skill) {
+    this.game.player.stamina -= skill.cost || 0;
+    this.game.player.skillCooldowns[skill.id] = skill.cooldown || 0;
+  }
+
+  /**
+   * Готовит атакующее умение: оно сработает при следующей атаке игрока.
+   * Вне боя умение начинает бой с указанной целью.
+   * @param {object} skill - Данные умения.
+   * @param {string} targetName - Имя цели.
+   * @returns {string}
+   * @private
+   */
+  _prepareAttackSkill(skill, targetName) {
+    const { player } = this.game;
+
+    if (player.state !== 'fighting') {
+      if (!targetName) {
+        return `На кого вы хотите использовать "${skill.name}"?`;
+      }
+      const restingRefusal = player.getRestingRefusal();
+      if (restingRefusal) {
+        return restingRefusal;
+      }
+
+      const [currentAreaId] = this.game.world.parseGlobalId(player.currentRoom);
+      const npcId = this.game.getCurrentRoom().findNpc(targetName.toLowerCase(), this.game, currentAreaId);
+      if (!npcId) {
+        return `Здесь нет "${targetName}" для атаки.${this.game.suggestTargets(targetName)}`;
+      }
+      const npc = this.game.getNpc(npcId, currentAreaId);
+
+      if (npc.type === 'friendly') {
+        return `${this.game.colorize(npc.name, `npc-name npc-${npc.type}`)} дружелюбен к вам. Вы не можете атаковать.`;
+      }
+
+      this._payCost(skill);
+      // Первая атака в бою будет умением
+      player.nextAttackIsSkill = skill.id;
+      this.game.startCombat(npc);
+      return ''; // Сообщения обрабатываются через emit
+    }
+
+    if (player.skillUsedThisRound) {
+      return 'Вы уже использовали умение в этом раунде.';
+    }
+
+    // Указанная цель становится текущей целью боя
+    let targetMessage = '';
+    if (targetName) {
+      const [currentAreaId] = this.game.world.parseGlobalId(player.currentRoom);
+      const npcId = this.game.getCurrentRoom().findNpc(targetName.toLowerCase(), this.game, currentAreaId);
+      const npc = npcId ? this.game.getNpc(npcId, currentAreaId) : null;
+      if (!npc) {
+        return `Здесь нет "${targetName}" для атаки.${this.game.suggestTargets(targetName)}`;
+      }
+      if (npc.type === 'friendly' && !this.game.combatManager.opponents.includes(npc)) {
+        return `${this.game.colorize(npc.name, `npc-name npc-${npc.type}`)} дружелюбен к вам. Вы не можете атаковать.`;
+      }
+      if (npc !== this.game.combatManager.npc) {
+        targetMessage = this.game.combatManager.setTarget(npc) + '\n';
+      }
+    }
+
+    this._payCost(skill);
+    player.nextAttackIsSkill = skill.id;
+    player.skillUsedThisRound = true;
+    const npc = this.game.combatManager.npc;
+    return `${targetMessage}Вы готовитесь применить "${skill.name}" против ${this.game.colorize(npc.name, `npc-name npc-${npc.type}`)}.`;
+  }
+
+  /**
+   * Восстанавливает здоровье или выносливость игрока.
+   * Параметры: `effect.stat` ('hitPoints' или 'stamina'), `effect.percent` или `effect.amount`.
+   * @param {object} skill - Данные умения.
+   * @returns {string}
+   * @private
+   */
+  _applyHeal(skill) {
+    const { player } = this.game;
+    const { stat = 'hitPoints', percent = 0, amount = 0 } = skill.effect;
+    const maxStat = stat === 'stamina' ? 'maxStamina' : 'maxHitPoints';
+
+    if (player[stat] >= player[maxStat]) {
+      return stat === 'stamina' ? 'Вы и так полны сил.' : 'Вы и так полностью здоровы.';
+    }
+
+    this._payCost(skill);
+    const oldValue = player[stat];
+    player[stat] = Math.min(player[maxStat], player[stat] + amount + Math.floor(player[maxStat] * percent));
+
+    const restored = player[stat] - oldValue;
+    const statName = stat === 'stamina' ? 'выносливости' : 'HP';
+    return this.game.colorize(`Вы используете "${skill.name}". Восстановлено ${restored} ${statName}.`, 'combat-exp-gain');
+  }
+
+  /**
+   * Накладывает на игрока усиливающий эффект `effect.statusEffect`.
+   * @param {object} skill - Данные умения.
+   * @returns {string}
+   * @private
+   */
+  _applyBuff(skill) {
+    const definition = this.game.statusEffectManager.definitions.get(skill.effect.statusEffect);
+    if (!definition) {
+      return `Вы не знаете, как применить "${skill.name}".`;
+    }
+    // Раундовые эффекты отсчитываются только в бою: вне боя такой эффект не закончился бы до следующей схватки
+    if (definition.unit === 'round' && this.game.player.state !== 'fighting') {
+      return `"${skill.name}" можно использовать только в бою.`;
+    }
+    this._payCost(skill);
+    const effect = this.game.statusEffectManager.apply(this.game.player, definition.id);
+    return this.game.colorize(`Вы используете "${skill.name}" на ${effect.describeRemaining()} (потрачено ${skill.cost} выносливости)`, 'combat-npc-death');
+  }
+
+  /**
+   * Мгновенно переносит игрока в комнату `effect.room`.
+   * @param {object} skill - Данные умения.
+   * @returns {Promise<string>}
+   * @private
+   */
+  async _applyTeleport(skill) {
+    const targetRoomId = skill.effect.room;
+    const [targetAreaId] = this.game.world.parseGlobalId(targetRoomId);
+    if (!this.game.world.loadedAreaIds.has(targetAreaId)) {
+      await this.game.world.loadArea(targetAreaId);
+    }
+    const targetRoom = this.game.world.rooms.get(targetRoomId);
+    if (!targetRoom) {
+      return `Умение "${skill.name}" не срабатывает: место назначения не найдено.`;
+    }
+
+    this._payCost(skill);
+    this.game.player.currentRoom = targetRoomId;
+    this.game.player.markVisited(targetRoomId);
+
+    return this.game.colorize(`Вы используете "${skill.name}". Мир вокруг вас расплывается... (потрачено ${skill.cost} выносливости)`, 'combat-exp-gain') + `\n\n` + targetRoom.getFullDescription(this.game);
+  }
+
+  /**
+   * Применяет ослабляющее умение к NPC во время раунда боя: накладывает эффект `effect.statusEffect`.
+   * Если у умения есть `effect.disarmWeapon`, а NPC держит оружие, вместо эффекта оружие падает на пол комнаты.
+   * Шанс успеха: `effect.baseChance` + (ловкость - 10) * `effect.dexterityBonus`.
+   * @param {object} skill - Данные умения.
+   * @param {import('./NPC.js').NPC} npc - Цель.
+   * @returns {string} Сообщение о результате.
+   */
+  applyDebuff(skill, npc) {
+    const effect = skill.effect || {};
+    const npcName = this.game.colorize(npc.name, `npc-name npc-${npc.type}`);
+    const definition = this.game.statusEffectManager.definitions.get(effect.statusEffect);
+    const weapon = effect.disarmWeapon ? npc.getEquipped('weapon') : null;
+
+    if (!definition && !weapon) {
+      return this.game.colorize(`Вы используете "${skill.name}" против ${npcName}.`, 'combat-player-attack');
+    }
+    if (!weapon && npc.hasStatusEffect(definition.id)) {
+      return this.game.colorize(`${npcName} уже под действием эффекта "${definition.name}".`, 'combat-player-attack');
+    }
+
+    const dexBonus = (this.game.player.getEffectiveStat('dexterity') - 10) * (effect.dexterityBonus || 0);
+    const chance = Math.min(0.95, Math.max(0.05, (effect.baseChance || 0) + dexBonus));
+    if (Math.random() >= chance) {
+      return this.game.colorize(`Вы используете "${skill.name}" против ${npcName}, но безуспешно.`, 'combat-player-attack');
+    }
+
+    if (weapon) {
+      npc.unequip('weapon');
+      this.game.getCurrentRoom().addItem(weapon.globalId);
+      const weaponName = this.game.colorize(weapon.name, 'item-name');
+      const npcGenitive = this.game.colorize(this.game.decline(npc, 'genitive'), `npc-name npc-${npc.type}`);
+      return this.game.colorize(`Вы используете "${skill.name}": ${weaponName} вылетает из рук ${npcGenitive} и падает на землю!`, 'combat-exp-gain');
+    }
+
+    this.game.statusEffectManager.apply(npc, definition.id);
+    return this.game.colorize(`Вы используете "${skill.name}": ${npcName} получает эффект "${definition.name}"! ${definition.description}`, 'combat-exp-gain');
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Представляет временный эффект (усиление, ослабление, яд, оглушение и т.п.),
+ * наложенный на игрока или NPC.
+ * Длительность измеряется либо в игровых тиках (`unit: 'tick'`), либо в раундах боя (`unit: 'round'`).
+ */
+export class StatusEffect {
+  /**
+   * Создает экземпляр эффекта.
+   * @param {object} data - Данные эффекта из statusEffects.json или из сохранения.
+   * @property {string} id - ID эффекта.
+   * @property {string} name - Название эффекта.
+   * @property {'tick'|'round'} unit - Единица измерения длительности.
+   * @property {number} remaining - Оставшаяся длительность.
+   * @property {{damageMultiplier?: number, defenseMultiplier?: number, stats?: Object.<string, number>}} modifiers - Модификаторы характеристик.
+   * @property {number} damagePerStep - Урон за каждый тик/раунд (яд, кровотечение).
+   * @property {number} healPerStep - Лечение за каждый тик/раунд (регенерация).
+   * @property {boolean} stun - Пропускает ли носитель ход в бою.
+   * @property {boolean} harmful - Является ли эффект вредным.
+   */
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.unit = data.unit || 'tick';
+    this.remaining = data.remaining ?? data.duration ?? 1;
+    this.modifiers = { ...(data.modifiers || {}) };
+    this.damagePerStep = data.damagePerStep || 0;
+    this.healPerStep = data.healPerStep || 0;
+    this.stun = data.stun || false;
+    this.harmful = data.harmful || false;
+  }
+
+  /**
+   * Уменьшает оставшуюся длительность, если единица измерения совпадает.
+   * @param {'tick'|'round'} unit - Единица прошедшего времени.
+   * @returns {boolean} `true`, если эффект был обработан на этом шаге.
+   */
+  step(unit) {
+    if (this.unit !== unit) return false;
+    this.remaining--;
+    return true;
+  }
+
+  /**
+   * Проверяет, истекло ли время действия эффекта.
+   * @returns {boolean}
+   */
+  isExpired() {
+    return this.remaining <= 0;
+  }
+
+  /**
+   * Возвращает оставшуюся длительность с единицей измерения ("3 раунд(а)", "5 сек.").
+   * @returns {string}
+   */
+  describeRemaining() {
+    return `${this.remaining} ${this.unit === 'round' ? 'раунд(а)' : 'сек.'}`;
+  }
+
+  /**
+   * Перемножает модификатор `key` всех эффектов (например, 'damageMultiplier').
+   * @param {StatusEffect[]} effects - Список эффектов.
+   * @param {string} key - Название модификатора.
+   * @returns {number} Итоговый множитель (1, если эффектов нет).
+   */
+  static combineMultipliers(effects, key) {
+    return effects.reduce((total, effect) => total * (effect.modifiers[key] ?? 1), 1);
+  }
+
+  /**
+   * Суммирует бонусы всех эффектов к характеристике.
+   * @param {StatusEffect[]} effects - Список эффектов.
+   * @param {string} stat - Название характеристики (например, 'strength').
+   * @returns {number} Суммарный бонус.
+   */
+  static sumStatBonus(effects, stat) {
+    return effects.reduce((total, effect) => total + (effect.modifiers.stats?.[stat] || 0), 0);
+  }
+}
@@ -0,0 +1,106 @@
+import { StatusEffect } from './StatusEffect.js';
+import statusEffectsJson from '../data/statusEffects.json';
+
+/**
+ * @class StatusEffectManager
+ * @description Создает эффекты по описанию из statusEffects.json, накладывает их
+ * на игрока и NPC и обрабатывает их течение по тикам и раундам боя.
+ */
+export class StatusEffectManager {
+  /**
+   * @param {import('../GameEngine.js').GameEngine} game - Экземпляр игрового движка.
+   */
+  constructor(game) {
+    this.game = game;
+    /** @type {Map<string, object>} Описания эффектов, ключ - ID эффекта. */
+    this.definitions = new Map(Object.entries(statusEffectsJson).map(([id, data]) => [id, { id, ...data }]));
+  }
+
+  /**
+   * Накладывает эффект на цель. Повторное наложение обновляет длительность.
+   * @param {import('./Player.js').Player|import('./NPC.js').NPC} target - Игрок или NPC.
+   * @param {string} effectId - ID эффекта из statusEffects.json.
+   * @param {object} [overrides={}] - Поля, переопределяющие описание (например, `duration`).
+   * @returns {StatusEffect|null} Наложенный эффект или null, если такого эффекта нет.
+   */
+  apply(target, effectId, overrides = {}) {
+    const definition = this.definitions.get(effectId);
+    if (!definition) {
+      console.warn(`Эффект не найден: ${effectId}`);
+      return null;
+    }
+    const effect = new StatusEffect({ ...definition, ...overrides });
+    target.addStatusEffect(effect);
+    return effect;
+  }
+
+  /**
+   * Выполняет один шаг (тик или раунд) для всех эффектов цели:
+   * наносит урон/лечение и снимает истекшие эффекты.
+   * @param {import('./Player.js').Player|import('./NPC.js').NPC} target - Игрок или NPC.
+   * @param {'tick'|'round'} unit - Единица прошедшего времени.
+   * @returns {string[]} Сообщения о действии эффектов.
+   */
+  tickEntity(target, unit) {
+    const messages = [];
+    if (!target.statusEffects.length || !target.isAlive()) return messages;
+
+    const isPlayer = target === this.game.player;
+    const name = isPlayer ? null : this.game.colorize(target.name, `npc-name npc-${target.type}`);
+
+    for (const effect of [...target.statusEffects]) {
+      if (!effect.step(unit)) continue;
+
+      if (effect.damagePerStep > 0) {
+        target.takeDamage(effect.damagePerStep);
+        messages.push(this.game.colorize(isPlayer
+          ? `${effect.name}: вы теряете ${effect.damagePerStep} HP.`
+          : `${effect.name}: ${name} теряет ${effect.damagePerStep} HP.`, 'combat-npc-attack'));
+      }
+      if (effect.healPerStep > 0) {
+        target.heal(effect.healPerStep);
+      }
+      if (effect.isExpired()) {
+        target.removeStatusEffect(effect.id);
+        messages.push(this.game.colorize(isPlayer
+          ? `Эффект "${effect.name}" закончился.`
+          : `Эффект "${effect.name}" на ${name} закончился.`, 'combat-player-hp'));
+      }
+      if (!target.isAlive()) break;
+    }
+
+    if (isPlayer && !target.isAlive()) {
+      messages.push(this.game.colorize('Вы умерли!', 'combat-player-death'));
+      const corpseMessage = this.game.handlePlayerDeath();
+      if (corpseMessage) messages.push(corpseMessage);
+    }
+    return messages;
+  }
+
+  /**
+   * Выполняет игровой тик для игрока и всех NPC.
+   * Возвращает только те сообщения, которые касаются игрока или его комнаты.
+   * @returns {string[]} Массив сообщений.
+   */
+  tick() {
+    const messages = this.tickEntity(this.game.player, 'tick');
+
+    for (const [globalNpcId, npc] of this.game.world.npcs.entries()) {
+      const npcMessages = this.tickEntity(npc, 'tick');
+      if (this.game.world.npcLocationMap.get(globalNpcId) === this.game.player.currentRoom) {
+        messages.push(...npcMessages);
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * Формирует список эффектов цели для вывода.
+   * @param {import('./Player.js').Player|import('./NPC.js').NPC} target - Игрок или NPC.
+   * @returns {string[]} Строки вида "Отравление (еще 3 сек.)".
+   */
+  describe(target) {
+    return target.statusEffects.map(effect =>
+      `${this.game.colorize(effect.name, effect.harmful ? 'combat-npc-death' : 'combat-exp-gain')} (еще ${effect.describeRemaining()})`);
+  }
+}
@@ -1,3 +1,5 @@
+import { RussianMorphology } from '../utils/russianMorphology.js';
+
 /**
  * @class SuggestionGenerator
  * @description Генерирует список подсказок для автодополнения команд.
@@ -32,13 +34,18 @@ export class SuggestionGenerator {
     const suggestFrom = (items, type) => {
       if (!items) return;
       items
-        .filter(item => item && item.name.toLowerCase().startsWith(lowerPrefix))
+        // "крысу" и "меча" тоже подсказывают "крыса" и "железный меч"
+        .filter(item => item && RussianMorphology.matches(item, lowerPrefix))
         .forEach(item => suggestions.push({ text: item.name, type }));
     };
 
-    const itemsInRoom = currentRoom?.items.map(id => this.game.world.items.get(id)).filter(Boolean) || [];
+    const itemsInRoom = currentRoom?.items.map(id => this.game.world.getItemInstance(id)).filter(Boolean) || [];
     const npcsInRoom = currentRoom?.npcs.map(id => this.game.getNpc(id, currentRoom.area)).filter(npc => npc && npc.isAlive()) || [];
     const itemsInInventory = this.game.player.inventory;
+    // Двери подсказываются направлениями выходов
+    const doorSuggestions = (currentRoom?.getExits() || [])
+      .filter(direction => currentRoom.getDoor(direction) && direction.startsWith(lowerPrefix))
+      .map(direction => ({ text: direction, type: 'exit' }));
 
     switch (command) {
       case 'go':
@@ -54,24 +61,54 @@ export class SuggestionGenerator {
 
       case 'drop':
       case 'выбросить':
+      case 'put':
+      case 'положить':
       case 'equip':
       case 'надеть':
       case 'unequip':
       case 'снять':
+        suggestFrom(itemsInInventory, 'item');
+        break;
+
       case 'use':
-      case 'использовать':
+      case 'использовать': {
+        const activeSkills = this.game.player.skills
+          .map(skillId => this.game.skillsData.get(skillId))
+          .filter(skill => skill && !skill.passive);
+        activeSkills
+          .filter(skill => skill.id.startsWith(lowerPrefix))
+          .forEach(skill => suggestions.push({ text: skill.id, type: 'command' }));
         suggestFrom(itemsInInventory, 'item');
         break;
+      }
 
       case 'kill':
       case 'убить':
+      case 'target':
+      case 'assist':
+      case 'цель':
       case 'talk':
       case 'поговорить':
-      case 'kick':
-      case 'пнуть':
         suggestFrom(npcsInRoom, 'npc');
         break;
 
+      case 'open':
+      case 'открыть':
+      case 'close':
+      case 'закрыть':
+      case 'pick':
+      case 'взломать':
+        return doorSuggestions;
+
+      case 'lock':
+      case 'запереть':
+      case 'unlock':
+      case 'отпереть':
+        suggestions.push(...doorSuggestions);
+        suggestFrom(itemsInRoom.filter(item => item.key), 'item');
+        suggestFrom(itemsInInventory.filter(item => item.key), 'item');
+        break;
+
       case 'look':
       case 'осмотреть':
       case 'consider':
@@ -90,6 +127,12 @@ export class SuggestionGenerator {
           .filter(stat => stat.startsWith(lowerPrefix))
           .map(stat => ({ text: stat, type: 'command' }));
       }
+
+      default:
+        // Команды умений, требующих цели, подсказывают NPC в комнате
+        if (this.game.skillManager.getSkill(command)?.target === 'npc') {
+          suggestFrom(npcsInRoom, 'npc');
+        }
     }
 
     // Убираем дубликаты, если они есть
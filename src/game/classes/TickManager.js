@@ -1,6 +1,6 @@
 /**
  * @class TickManager
- * @description Управляет событиями, происходящими с течением времени (ресawn, wander, cooldowns).
+ * @description Управляет событиями, происходящими с течением времени (сброс зон, wander, cooldowns, эффекты, распад трупов, очередь команд).
  */
 export class TickManager {
   /**
@@ -8,14 +8,16 @@ export class TickManager {
    */
   constructor(game) {
     this.game = game;
-    this.respawnQueue = []; // Очередь для возрождения НПС
+    this.regenTimer = 0; // Тики до следующего восстановления здоровья и выносливости
+    this.queuedCommandRunning = false; // Выполняется ли сейчас команда из очереди
   }
 
   /**
    * Сбрасывает состояние менеджера.
    */
   reset() {
-    this.respawnQueue = [];
+    this.regenTimer = 0;
+    this.queuedCommandRunning = false;
   }
 
   /**
@@ -23,59 +25,33 @@ export class TickManager {
    * @returns {string[]} Массив сообщений, сгенерированных за тик.
    */
   tick() {
-    const messages = this._checkRespawns();
+    // Зоны, чье время пришло, возрождают NPC, раскладывают предметы и закрывают двери
+    const messages = this.game.zoneResetManager.tick();
     this._tickCooldowns();
+    const regenMessages = this._regeneratePlayer();
+    const effectMessages = this._tickStatusEffects();
     const wanderMessages = this._updateWanderingNpcs();
-    return [...messages, ...wanderMessages];
+    const decayMessages = this._decayItems();
+    // Агрессивные NPC могли забрести к игроку или возродиться рядом с ним
+    const aggressionMessage = this.game.checkAggression();
+    // Следующая команда из очереди (цепочка, повтор, маршрут); результат приходит через onMessage
+    this._runQueuedCommand();
+    return [...messages, ...regenMessages, ...effectMessages, ...wanderMessages, ...decayMessages, ...(aggressionMessage ? [aggressionMessage] : [])];
   }
 
   /**
-   * Планирует возрождение НПС.
-   * @param {string} globalNpcId - Глобальный ID НПС для возрождения.
-   * @param {string} roomId - ID комнаты, где НПС должен возродиться.
-   */
-  scheduleNpcRespawn(globalNpcId, roomId) {
-    const npc = this.game.world.npcs.get(globalNpcId);
-    if (!npc || npc.type !== 'hostile') {
-      return;
-    }
-
-    const RESPAWN_TIME = 30000; // 30 секунд
-    this.respawnQueue.push({
-      globalNpcId,
-      roomId,
-      respawnTime: Date.now() + RESPAWN_TIME
-    });
-  }
-
-  /**
-   * Проверяет очередь возрождения и возрождает НПС.
+   * Запускает следующую команду из очереди. Команда может быть асинхронной (например, `go` загружает зону),
+   * поэтому следующая не начинается, пока не закончилась предыдущая, даже если прошел тик.
    * @private
-   * @returns {string[]} Массив сообщений о возрождении.
    */
-  _checkRespawns() {
-    const messages = [];
-    const now = Date.now();
-
-    this.respawnQueue = this.respawnQueue.filter(entry => {
-      if (now >= entry.respawnTime) {
-        const [areaId, npcId] = this.game.world.parseGlobalId(entry.globalNpcId);
-        const npc = this.game.getNpc(npcId, areaId);
-        const room = this.game.world.rooms.get(entry.roomId);
-        if (npc && room && !room.hasNpc(npcId)) {
-          this.game.world.npcLocationMap.set(entry.globalNpcId, entry.roomId);
-          npc.respawn(this.game);
-          room.addNpc(npc.id);
-          if (this.game.player.currentRoom === entry.roomId) {
-            messages.push(this.game.colorize(`${npc.name} появляется из тени!`, 'combat-npc-death'));
-          }
-        }
-        return false;
-      }
-      return true;
-    });
-
-    return messages;
+  _runQueuedCommand() {
+    if (this.queuedCommandRunning) return;
+    this.queuedCommandRunning = true;
+    this.game.commandManager.runNextQueued()
+      .catch(error => console.error('Ошибка выполнения команды из очереди:', error))
+      .finally(() => {
+        this.queuedCommandRunning = false;
+      });
   }
 
   /**
@@ -97,6 +73,66 @@ export class TickManager {
     }
   }
 
+  /**
+   * Раз в несколько тиков восстанавливает здоровье и выносливость игрока.
+   * @private
+   * @returns {string[]} Сообщение о полном восстановлении, если игрок отдыхал.
+   */
+  _regeneratePlayer() {
+    const REGEN_INTERVAL = 5; // 5 секунд
+    this.regenTimer++;
+    if (this.regenTimer < REGEN_INTERVAL) return [];
+    this.regenTimer = 0;
+
+    const player = this.game.player;
+    const restored = player.regenerate();
+    const isFullyRestored = player.hitPoints === player.maxHitPoints && player.stamina === player.maxStamina;
+    if (player.isResting() && (restored.hitPoints > 0 || restored.stamina > 0) && isFullyRestored) {
+      return [this.game.colorize('Вы полностью восстановили силы.', 'combat-exp-gain')];
+    }
+    return [];
+  }
+
+  /**
+   * Обрабатывает эффекты, длительность которых измеряется в тиках (яд, регенерация).
+   * Если игрок погиб от эффекта во время боя, бой завершается.
+   * @private
+   * @returns {string[]} Массив сообщений о действии эффектов.
+   */
+  _tickStatusEffects() {
+    const messages = this.game.statusEffectManager.tick();
+    if (!this.game.player.isAlive() && this.game.combatManager) {
+      this.game.combatManager.stop();
+    }
+    return messages;
+  }
+
+  /**
+   * Отсчитывает время распада предметов на земле (трупов). Распавшийся труп исчезает,
+   * а его содержимое остается лежать в комнате.
+   * @private
+   * @returns {string[]} Сообщения о распаде в комнате игрока.
+   */
+  _decayItems() {
+    const messages = [];
+    const { world } = this.game;
+
+    for (const [globalRoomId, room] of world.rooms.entries()) {
+      for (const itemId of [...room.items]) {
+        const item = world.getItemInstance(itemId);
+        if (!item || item.decayTimer == null || --item.decayTimer > 0) continue;
+
+        room.removeItem(itemId);
+        (item.contents || []).forEach(content => room.addItem(content.globalId));
+        world.destroyItemInstance(itemId);
+        if (globalRoomId === this.game.player.currentRoom) {
+          messages.push(this.game.colorize(`${item.name} рассыпается в прах.`, 'npc-dead'));
+        }
+      }
+    }
+    return messages;
+  }
+
   /**
    * Обновляет положение блуждающих НПС.
    * @private
@@ -105,11 +141,13 @@ export class TickManager {
   _updateWanderingNpcs() {
     const messages = [];
     const WANDER_CHANCE = 0.05;
-    const combatNpcGlobalId = this.game.combatManager ? this.game.world.getGlobalId(this.game.combatManager.npc.id, this.game.combatManager.npc.area) : null;
+    // Участники боя не уходят из комнаты посреди схватки
+    const combatNpcGlobalIds = new Set((this.game.combatManager?.opponents || [])
+      .map(npc => this.game.world.getGlobalId(npc.id, npc.area)));
 
     for (const [globalNpcId, currentNpcRoomId] of this.game.world.npcLocationMap.entries()) {
       const npc = this.game.world.npcs.get(globalNpcId);
-      if (npc && npc.canWander && npc.isAlive() && globalNpcId !== combatNpcGlobalId && Math.random() < WANDER_CHANCE) {
+      if (npc && npc.canWander && npc.isAlive() && !combatNpcGlobalIds.has(globalNpcId) && Math.random() < WANDER_CHANCE) {
         const wanderMessage = this.game.world.wanderNpc(globalNpcId, currentNpcRoomId);
         if (wanderMessage) {
           messages.push(wanderMessage);
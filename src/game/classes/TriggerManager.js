@@ -0,0 +1,185 @@
+/** Сколько команд триггеры могут отправить за окно `LOOP_WINDOW_MS`, прежде чем будут приостановлены. */
+const MAX_COMMANDS_PER_WINDOW = 8;
+/** Окно подсчета команд от триггеров, мс. */
+const LOOP_WINDOW_MS = 10000;
+/** Один и тот же триггер отправляет команду не чаще, чем раз в это время, мс. */
+const TRIGGER_COOLDOWN_MS = 1000;
+
+/**
+ * @typedef {object} Trigger
+ * @property {number} id - Идентификатор триггера.
+ * @property {string} pattern - Регулярное выражение, которое ищется в тексте сообщения (без HTML).
+ * @property {boolean} enabled - Включен ли триггер.
+ * @property {string|null} highlight - Цвет подсветки строки (#rrggbb) или null.
+ * @property {boolean} gag - Скрыть строку.
+ * @property {boolean} beep - Подать звуковой сигнал.
+ * @property {string|null} command - Команда для отправки; `$1`...`$9` заменяются группами совпадения.
+ */
+
+/**
+ * @class TriggerManager
+ * @description Клиентские триггеры в стиле Mudlet: проверяют входящие строки регулярными выражениями
+ * и подсвечивают, скрывают их, подают сигнал или отправляют команду. Хранятся в localStorage
+ * отдельно от сохранения персонажа. Команды от триггеров ограничены по частоте, чтобы триггер,
+ * срабатывающий на результат собственной команды, не зациклил игру.
+ */
+export class TriggerManager {
+  constructor() {
+    this.storageKey = 'mudgame_triggers';
+    /** @type {Trigger[]} */
+    this.triggers = [];
+    /** @type {number} ID для следующего триггера. */
+    this.nextId = 1;
+    /** @type {number[]} Время отправки последних команд от триггеров. */
+    this.recentCommandTimes = [];
+    /** @type {Object.<number, number>} Время последней команды каждого триггера. */
+    this.lastFiredAt = {};
+    /** @type {boolean} Команды триггеров приостановлены из-за подозрения на зацикливание. */
+    this.suspended = false;
+  }
+
+  /**
+   * Загружает триггеры из localStorage.
+   */
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      this.triggers = Array.isArray(data?.triggers) ? data.triggers : [];
+      this.nextId = Math.max(0, ...this.triggers.map(trigger => trigger.id)) + 1;
+    } catch (error) {
+      console.error('Не удалось загрузить триггеры:', error);
+      this.triggers = [];
+    }
+  }
+
+  /**
+   * Сохраняет триггеры в localStorage.
+   */
+  save() {
+    localStorage.setItem(this.storageKey, JSON.stringify({ triggers: this.triggers }));
+  }
+
+  /**
+   * Добавляет триггер.
+   * @param {{pattern: string, highlight?: string|null, gag?: boolean, beep?: boolean, command?: string|null}} options
+   * @returns {string|null} Текст ошибки или null, если триггер добавлен.
+   */
+  add({ pattern, highlight = null, gag = false, beep = false, command = null }) {
+    if (!pattern) {
+      return 'Укажите шаблон триггера.';
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return `Неверное регулярное выражение: ${error.message}`;
+    }
+    if (highlight && !/^#[0-9a-f]{6}$/i.test(highlight)) {
+      return 'Цвет подсветки должен быть в формате #rrggbb.';
+    }
+    if (!highlight && !gag && !beep && !command) {
+      return 'Триггер должен что-то делать: подсвечивать, скрывать, подавать сигнал или отправлять команду.';
+    }
+
+    this.triggers.push({
+      id: this.nextId++,
+      pattern,
+      enabled: true,
+      highlight: highlight || null,
+      gag: Boolean(gag),
+      beep: Boolean(beep),
+      command: command?.trim() || null,
+    });
+    this.save();
+    return null;
+  }
+
+  /**
+   * Удаляет триггер.
+   * @param {number} id
+   */
+  remove(id) {
+    this.triggers = this.triggers.filter(trigger => trigger.id !== id);
+    delete this.lastFiredAt[id];
+    this.save();
+  }
+
+  /**
+   * Включает или выключает триггер.
+   * @param {number} id
+   */
+  toggle(id) {
+    const trigger = this.triggers.find(candidate => candidate.id === id);
+    if (!trigger) return;
+    trigger.enabled = !trigger.enabled;
+    this.save();
+  }
+
+  /**
+   * Возобновляет отправку команд после приостановки из-за зацикливания.
+   */
+  resume() {
+    this.suspended = false;
+    this.recentCommandTimes = [];
+  }
+
+  /**
+   * Применяет включенные триггеры к одной строке вывода.
+   * @param {string} line - Строка (может содержать HTML-разметку).
+   * @param {number} [now=Date.now()] - Текущее время, мс.
+   * @returns {{line: string|null, commands: string[], beep: boolean, warning: string|null}}
+   *   Строка для вывода (null, если скрыта), команды для отправки, нужен ли сигнал и предупреждение о зацикливании.
+   */
+  process(line, now = Date.now()) {
+    const result = { line, commands: [], beep: false, warning: null };
+    const text = line.replace(/<[^>]*>/g, '');
+
+    for (const trigger of this.triggers) {
+      if (!trigger.enabled) continue;
+      const match = text.match(new RegExp(trigger.pattern));
+      if (!match) continue;
+
+      if (trigger.highlight && result.line !== null) {
+        result.line = `<span class="trigger-highlight" style="background-color: ${trigger.highlight}40">${result.line}</span>`;
+      }
+      if (trigger.gag) result.line = null;
+      if (trigger.beep) result.beep = true;
+      if (trigger.command && this._canFire(trigger, now)) {
+        result.commands.push(trigger.command.replace(/\$(\d)/g, (_, index) => match[index] ?? ''));
+      }
+    }
+
+    if (result.commands.length > 0 && this._isLooping(now, result.commands.length)) {
+      this.suspended = true;
+      result.commands = [];
+      result.warning = 'Команды триггеров приостановлены: похоже, триггер срабатывает на собственный результат. Возобновить их можно на вкладке "Настройки".';
+    }
+    return result;
+  }
+
+  /**
+   * Проверяет, может ли триггер отправить команду сейчас, и запоминает время срабатывания.
+   * @param {Trigger} trigger
+   * @param {number} now
+   * @returns {boolean}
+   * @private
+   */
+  _canFire(trigger, now) {
+    if (this.suspended) return false;
+    if (now - (this.lastFiredAt[trigger.id] ?? -Infinity) < TRIGGER_COOLDOWN_MS) return false;
+    this.lastFiredAt[trigger.id] = now;
+    return true;
+  }
+
+  /**
+   * Учитывает новые команды и проверяет, не превышен ли лимит команд за окно.
+   * @param {number} now
+   * @param {number} count - Сколько команд отправляется сейчас.
+   * @returns {boolean}
+   * @private
+   */
+  _isLooping(now, count) {
+    this.recentCommandTimes = this.recentCommandTimes.filter(time => now - time < LOOP_WINDOW_MS);
+    this.recentCommandTimes.push(...Array(count).fill(now));
+    return this.recentCommandTimes.length > MAX_COMMANDS_PER_WINDOW;
+  }
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TriggerManager } from './TriggerManager.js';
+
+describe('TriggerManager', () => {
+  let triggerManager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    triggerManager = new TriggerManager();
+  });
+
+  it('должен отправлять команду, когда здоровья мало, и подставлять группы совпадения', () => {
+    triggerManager.add({ pattern: 'У вас осталось ([0-4])/', command: 'use зелье # $1' });
+
+    const low = triggerManager.process('<span class="combat-player-hp">У вас осталось 3/30 HP.</span>', 0);
+    const high = triggerManager.process('<span class="combat-player-hp">У вас осталось 25/30 HP.</span>', 2000);
+
+    expect(low.commands).toEqual(['use зелье # 3']);
+    expect(high.commands).toEqual([]);
+  });
+
+  it('должен подсвечивать, скрывать строки и подавать сигнал', () => {
+    triggerManager.add({ pattern: 'волк', highlight: '#ff0000', beep: true });
+    triggerManager.add({ pattern: 'глашатай', gag: true });
+
+    const wolf = triggerManager.process('Здесь находится волк.');
+    expect(wolf.line).toBe('<span class="trigger-highlight" style="background-color: #ff000040">Здесь находится волк.</span>');
+    expect(wolf.beep).toBe(true);
+    expect(triggerManager.process('Городской глашатай кричит.').line).toBeNull();
+  });
+
+  it('должен сохранять триггеры в localStorage и отклонять неверные шаблоны', () => {
+    expect(triggerManager.add({ pattern: '(', command: 'look' })).toContain('Неверное регулярное выражение');
+    expect(triggerManager.add({ pattern: 'крыса' })).toContain('Триггер должен что-то делать');
+    triggerManager.add({ pattern: 'крыса', command: 'kill крыса' });
+
+    const loaded = new TriggerManager();
+    loaded.load();
+    expect(loaded.triggers).toEqual([
+      { id: 1, pattern: 'крыса', enabled: true, highlight: null, gag: false, beep: false, command: 'kill крыса' },
+    ]);
+    expect(loaded.nextId).toBe(2);
+  });
+
+  it('должен приостанавливать команды триггеров при зацикливании', () => {
+    triggerManager.add({ pattern: 'Вы видите', command: 'look' });
+
+    expect(triggerManager.process('Вы видите крысу.', 0).commands).toEqual(['look']);
+    expect(triggerManager.process('Вы видите крысу.', 500).commands).toEqual([]); // перезарядка триггера
+
+    // Триггер, срабатывающий на результат своей команды, отправляет ее каждую секунду
+    const results = Array.from({ length: 8 }, (_, i) => triggerManager.process('Вы видите крысу.', (i + 1) * 1000));
+
+    expect(results.slice(0, 7).every(result => result.commands.length === 1)).toBe(true);
+    expect(results[7].commands).toEqual([]);
+    expect(results[7].warning).toContain('приостановлены');
+    expect(triggerManager.suspended).toBe(true);
+
+    triggerManager.resume();
+    expect(triggerManager.process('Вы видите крысу.', 20000).commands).toEqual(['look']);
+  });
+});
@@ -1,9 +1,24 @@
 import { Room } from './Room.js';
 import { NPC } from './NPC.js';
+import { RussianMorphology } from '../utils/russianMorphology.js';
 
 // Загружаем все зоны с помощью Vite glob import.
 const areaModules = import.meta.glob('../data/areas/*.json');
 
+/** Шаблон трупа. Его нет в зонах: труп появляется на месте гибели NPC или игрока. */
+const CORPSE_TEMPLATE = {
+  id: 'corpse',
+  area: 'system',
+  name: 'труп',
+  forms: { genitive: 'трупа', dative: 'трупу', accusative: 'труп', instrumental: 'трупом', prepositional: 'трупе' },
+  description: 'Безжизненное тело. Его можно обыскать: get <предмет> труп.',
+  type: 'container',
+  canTake: false,
+  weight: 100,
+  value: 0,
+};
+const CORPSE_TEMPLATE_ID = `${CORPSE_TEMPLATE.area}:${CORPSE_TEMPLATE.id}`;
+
 /**
  * @class WorldManager
  * @description Управляет состоянием игрового мира: зонами, комнатами, предметами и NPC.
@@ -23,7 +38,9 @@ export class WorldManager {
    */
   reset() {
     this.rooms = new Map(); // Карта комнат, ключ - глобальный ID
-    this.items = new Map(); // Карта предметов, ключ - глобальный ID
+    this.items = new Map([[CORPSE_TEMPLATE_ID, CORPSE_TEMPLATE]]); // Карта шаблонов предметов, ключ - глобальный ID шаблона
+    this.itemInstances = new Map(); // Карта экземпляров предметов, ключ - ID экземпляра
+    this.nextItemInstanceId = 1; // Счетчик для ID новых экземпляров
     this.npcs = new Map(); // Карта NPC, ключ - глобальный ID
     this.areas = new Map(); // Карта метаданных загруженных зон
     this.loadedAreaIds = new Set(); // Набор ID уже загруженных зон
@@ -65,6 +82,7 @@ export class WorldManager {
         id: areaData.id,
         name: areaData.name,
         description: areaData.description,
+        reset: areaData.reset || null, // Правила сброса зоны, см. ZoneResetManager
       });
 
       // Загружаем предметы с глобальными ID
@@ -74,12 +92,18 @@ export class WorldManager {
 
       // Загружаем NPC с глобальными ID
       for (const [localId, npcData] of Object.entries(areaData.npcs)) {
-        this.npcs.set(`${areaId}:${localId}`, new NPC({ id: localId, area: areaId, ...npcData }));
+        const npc = new NPC({ id: localId, area: areaId, ...npcData });
+        this.outfitNpc(npc);
+        this.npcs.set(`${areaId}:${localId}`, npc);
       }
 
       // Загружаем комнаты с глобальными ID
       for (const [localId, roomData] of Object.entries(areaData.rooms)) {
-        this.rooms.set(`${areaId}:${localId}`, new Room({ id: localId, area: areaId, ...roomData }));
+        const room = new Room({ id: localId, area: areaId, ...roomData });
+        // В JSON комнаты перечислены шаблоны, а в комнате лежат их экземпляры
+        room.items = room.items.map(templateId => this.createItemInstance(templateId)?.globalId).filter(Boolean);
+        room.hiddenItems = room.hiddenItems.map(templateId => this.createItemInstance(templateId)?.globalId).filter(Boolean);
+        this.rooms.set(`${areaId}:${localId}`, room);
       }
 
       this._buildNpcLocationMapForArea(areaId);
@@ -133,19 +157,16 @@ export class WorldManager {
 
     if (!npc || !currentRoom) return null;
 
-    const exits = currentRoom.getExits();
+    // NPC не открывают двери и не знают о скрытых выходах
+    const exits = currentRoom.getPassableExits();
     if (exits.length === 0) return null;
 
     const randomExitDirection = exits[Math.floor(Math.random() * exits.length)];
-    const exit = currentRoom.getExit(randomExitDirection);
+    const targetRoomId = this.getExitRoomId(currentRoom, currentRoom.getExit(randomExitDirection));
 
     // Перемещаемся только внутри текущей зоны для простоты
-    if (typeof exit === 'string') {
-      const targetRoomId = this.getGlobalId(exit, currentRoom.area);
-      const targetRoom = this.rooms.get(targetRoomId);
-      currentRoom.removeNpc(npc.id);
-      targetRoom.addNpc(npc.id);
-      this.npcLocationMap.set(globalNpcId, targetRoomId);
+    if (this.rooms.get(targetRoomId)?.area === currentRoom.area) {
+      this.moveNpc(globalNpcId, targetRoomId);
 
       if (this.game.player.currentRoom === currentRoomId) return this.game.colorize(`${npc.name} уходит в сторону (${randomExitDirection}).`, 'npc-neutral');
       if (this.game.player.currentRoom === targetRoomId) return this.game.colorize(`${npc.name} приходит откуда-то.`, 'npc-neutral');
@@ -154,7 +175,384 @@ export class WorldManager {
   }
 
   /**
-   * Получает предмет по ID
+   * Переносит NPC в указанную комнату, обновляя комнаты и карту расположения.
+   * @param {string} globalNpcId - Глобальный ID NPC.
+   * @param {string} targetRoomId - Глобальный ID комнаты назначения.
+   */
+  moveNpc(globalNpcId, targetRoomId) {
+    const npc = this.npcs.get(globalNpcId);
+    const targetRoom = this.rooms.get(targetRoomId);
+    if (!npc || !targetRoom) return;
+
+    const currentRoom = this.rooms.get(this.npcLocationMap.get(globalNpcId));
+    if (currentRoom) currentRoom.removeNpc(npc.id);
+    targetRoom.addNpc(npc.id);
+    this.npcLocationMap.set(globalNpcId, targetRoomId);
+  }
+
+  /**
+   * Выдает NPC вещи из его описания в JSON зоны: инвентарь, если он пуст, и экипировку в пустые слоты.
+   * Вызывается при загрузке зоны и при возрождении NPC.
+   * @param {NPC} npc - NPC.
+   */
+  outfitNpc(npc) {
+    const { inventory, equippedWeapon, equippedArmor } = npc.startingItems;
+    const createItem = localId => this.createItemInstance(this.getGlobalId(localId, npc.area));
+    if (npc.inventory.length === 0) {
+      npc.inventory = inventory.map(createItem).filter(Boolean);
+    }
+    if (equippedWeapon && !npc.equippedWeapon) npc.equip(createItem(equippedWeapon));
+    if (equippedArmor && !npc.equippedArmor) npc.equip(createItem(equippedArmor));
+  }
+
+  /**
+   * Находит комнаты той же зоны, до которых можно дойти не более чем за `maxDistance` шагов.
+   * @param {string} startRoomId - Глобальный ID исходной комнаты.
+   * @param {number} maxDistance - Максимальное число переходов.
+   * @returns {Map<string, number>} Карта <globalRoomId, расстояние> (включая исходную комнату с расстоянием 0).
+   */
+  getRoomsWithinDistance(startRoomId, maxDistance) {
+    const distances = new Map([[startRoomId, 0]]);
+    const queue = [startRoomId];
+
+    while (queue.length > 0) {
+      const roomId = queue.shift();
+      const distance = distances.get(roomId);
+      const room = this.rooms.get(roomId);
+      if (!room || distance >= maxDistance) continue;
+
+      for (const direction of room.getPassableExits()) {
+        const nextRoomId = this.getExitRoomId(room, room.getExit(direction));
+        // Межзонные переходы не учитываем
+        if (!distances.has(nextRoomId) && this.rooms.get(nextRoomId)?.area === room.area) {
+          distances.set(nextRoomId, distance + 1);
+          queue.push(nextRoomId);
+        }
+      }
+    }
+    return distances;
+  }
+
+  /**
+   * Возвращает глобальный ID комнаты, в которую ведет выход.
+   * @param {import('./Room.js').Room} room - Комната, из которой ведет выход.
+   * @param {string|import('./Room.js').ExitObject} exit - Выход: локальный ID или объект перехода.
+   * @returns {string} Глобальный ID комнаты назначения.
+   */
+  getExitRoomId(room, exit) {
+    return typeof exit === 'object'
+      ? this.getGlobalId(exit.room, exit.area ?? room.area)
+      : this.getGlobalId(exit, room.area);
+  }
+
+  /**
+   * Меняет состояние двери и той же двери с другой стороны (выхода из комнаты назначения обратно).
+   * @param {import('./Room.js').Room} room - Комната, из которой ведет выход.
+   * @param {string} direction - Направление выхода с дверью.
+   * @param {'open'|'closed'|'locked'} state - Новое состояние.
+   */
+  setDoorState(room, direction, state) {
+    const exit = room.exits.get(direction);
+    if (!exit?.door) return;
+    exit.door.state = state;
+
+    const roomId = this.getGlobalId(room.id, room.area);
+    const targetRoom = this.rooms.get(this.getExitRoomId(room, exit));
+    for (const backExit of targetRoom?.exits.values() || []) {
+      if (backExit.door && this.getExitRoomId(targetRoom, backExit) === roomId) {
+        backExit.door.state = state;
+      }
+    }
+  }
+
+  /**
+   * Собирает состояния дверей, отличающиеся от начальных, для сохранения.
+   * @returns {Object.<string, string>} Объект <"globalRoomId|направление", состояние>.
+   */
+  getDoorStates() {
+    const states = {};
+    for (const [roomId, room] of this.rooms.entries()) {
+      for (const [direction, exit] of room.exits.entries()) {
+        if (exit.door && exit.door.state !== exit.door.initialState) {
+          states[`${roomId}|${direction}`] = exit.door.state;
+        }
+      }
+    }
+    return states;
+  }
+
+  /**
+   * Восстанавливает сохраненные состояния дверей.
+   * @param {Object.<string, string>} states - Результат `getDoorStates`.
+   */
+  restoreDoorStates(states) {
+    for (const [key, state] of Object.entries(states || {})) {
+      const [roomId, direction] = key.split('|');
+      const door = this.rooms.get(roomId)?.exits.get(direction)?.door;
+      if (door) door.state = state;
+    }
+  }
+
+  /**
+   * Открывает скрытые выходы, которые игрок уже нашел (после загрузки сохранения).
+   * @param {string[]} secretIds - ID найденных выходов вида "globalRoomId|направление".
+   */
+  revealDiscoveredExits(secretIds) {
+    for (const secretId of secretIds) {
+      const [roomId, direction] = secretId.split('|');
+      this.rooms.get(roomId)?.revealExit(direction);
+    }
+  }
+
+  /**
+   * Ищет кратчайший путь поиском в ширину по выходам комнат, включая переходы между зонами.
+   * Зоны, в которые ведут переходы, загружаются по мере обхода. Путь не проходит через скрытые выходы
+   * и запертые двери; закрытые, но не запертые двери по пути можно открыть.
+   * @param {string} startRoomId - Глобальный ID исходной комнаты.
+   * @param {(roomId: string) => boolean} isTarget - Подходит ли комната как цель пути.
+   * @returns {Promise<Array<{direction: string, roomId: string}>|null>} Шаги пути (пустой массив, если
+   *   исходная комната уже подходит) или null, если путь не найден.
+   */
+  async findPath(startRoomId, isTarget) {
+    if (isTarget(startRoomId)) return [];
+    const previous = new Map([[startRoomId, null]]);
+    const queue = [startRoomId];
+
+    while (queue.length > 0) {
+      const roomId = queue.shift();
+      const room = this.rooms.get(roomId);
+      if (!room) continue;
+
+      for (const direction of room.getExits()) {
+        const exit = room.getExit(direction);
+        if (exit.door?.state === 'locked') continue;
+        if (exit.area && !this.loadedAreaIds.has(exit.area)) {
+          await this.loadArea(exit.area);
+        }
+        const nextRoomId = this.getExitRoomId(room, exit);
+        if (previous.has(nextRoomId) || !this.rooms.has(nextRoomId)) continue;
+        previous.set(nextRoomId, { roomId, direction });
+
+        if (isTarget(nextRoomId)) {
+          // Восстанавливаем путь от цели к началу
+          const path = [];
+          for (let stepRoomId = nextRoomId; previous.get(stepRoomId); stepRoomId = previous.get(stepRoomId).roomId) {
+            path.unshift({ direction: previous.get(stepRoomId).direction, roomId: stepRoomId });
+          }
+          return path;
+        }
+        queue.push(nextRoomId);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Определяет, какие комнаты зоны известны игроку: посещенные и соседние с ними (известные, но не посещенные).
+   * @param {string} areaId - ID зоны.
+   * @param {string[]} visitedRoomIds - Глобальные ID посещенных комнат.
+   * @returns {Map<string, 'visited'|'known'>} Карта <globalRoomId, степень исследованности>.
+   */
+  getExploredRooms(areaId, visitedRoomIds) {
+    const visited = new Set(visitedRoomIds);
+    const explored = new Map();
+    for (const [roomId, room] of this.rooms.entries()) {
+      if (room.area !== areaId || !visited.has(roomId)) continue;
+      explored.set(roomId, 'visited');
+      for (const direction of room.getExits()) {
+        const nextRoomId = this.getExitRoomId(room, room.getExit(direction));
+        if (!visited.has(nextRoomId) && this.rooms.get(nextRoomId)?.area === areaId) {
+          explored.set(nextRoomId, 'known');
+        }
+      }
+    }
+    return explored;
+  }
+
+  /**
+   * Собирает карту мира по данным всех зон, в том числе еще не загруженных: положение зоны на карте
+   * (`worldMap` в JSON зоны), рекомендуемые уровни (`levelRange`) и связи между зонами по межзонным выходам.
+   * @returns {{
+   *   areas: Array<{id: string, name: string, description: string, position: {x: number, y: number}|null, levelRange: [number, number]|null}>,
+   *   links: Array<[string, string]>
+   * }} Зоны и пары связанных зон (каждая пара - один раз).
+   */
+  getWorldMap() {
+    const areas = [];
+    const links = new Map();
+    for (const [areaId, areaData] of this._areaDataCache.entries()) {
+      areas.push({
+        id: areaId,
+        name: areaData.name,
+        description: areaData.description,
+        position: areaData.worldMap || null,
+        levelRange: areaData.levelRange || null,
+      });
+      for (const roomData of Object.values(areaData.rooms)) {
+        for (const exit of Object.values(roomData.exits || {})) {
+          if (typeof exit !== 'object' || !exit.area || exit.area === areaId) continue;
+          const pair = [areaId, exit.area].sort();
+          links.set(pair.join('|'), pair);
+        }
+      }
+    }
+    return { areas, links: [...links.values()] };
+  }
+
+  /**
+   * Находит комнаты по названию, ID комнаты или названию зоны (для зоны подходят все ее комнаты).
+   * Ищет во всех зонах, в том числе еще не загруженных.
+   * @param {string} query - Запрос игрока (например, "вершина башни" или "дикие земли").
+   * @returns {Set<string>} Глобальные ID подходящих комнат.
+   */
+  findRoomIds(query) {
+    const roomIds = new Set();
+    for (const [areaId, areaData] of this._areaDataCache.entries()) {
+      const areaMatches = RussianMorphology.matches({ id: areaId, name: areaData.name }, query);
+      for (const [localId, roomData] of Object.entries(areaData.rooms)) {
+        const globalId = this.getGlobalId(localId, areaId);
+        if (areaMatches || RussianMorphology.matches({ id: localId, globalId, name: roomData.name }, query)) {
+          roomIds.add(globalId);
+        }
+      }
+    }
+    return roomIds;
+  }
+
+  /**
+   * Создает экземпляр предмета по шаблону. Общие данные (название, урон, цена) копируются из шаблона,
+   * а собственное состояние (прочность, зачарования, содержимое) у каждого экземпляра свое.
+   * @param {string} templateId - Глобальный ID шаблона (например, 'midgard:iron_sword').
+   * @param {object} [state={}] - Сохраненное состояние экземпляра.
+   * @param {string} [state.globalId] - ID экземпляра (если не указан, создается новый).
+   * @param {number|null} [state.durability] - Прочность.
+   * @param {string[]} [state.enchantments] - Зачарования.
+   * @param {Array<object|string>} [state.contents] - Экземпляры внутри контейнера (при загрузке - их ID,
+   *   которые затем связывает `resolveContainerContents`). Если не указано, создается содержимое из шаблона.
+   * @param {boolean} [state.locked] - Заперт ли контейнер.
+   * @param {number|null} [state.decayTimer] - Тиков до распада (для трупов).
+   * @param {string} [state.name] - Собственное название вместо названия шаблона.
+   * @param {string} [state.description] - Собственное описание вместо описания шаблона.
+   * @param {object} [state.forms] - Собственные падежные формы названия (см. RussianMorphology).
+   * @returns {object|null} Экземпляр предмета (его ID хранится в `globalId`) или null, если шаблона нет.
+   */
+  createItemInstance(templateId, state = {}) {
+    const template = this.items.get(templateId);
+    if (!template) {
+      console.warn(`Шаблон предмета не найден: ${templateId}`);
+      return null;
+    }
+    const instance = {
+      ...template,
+      templateId,
+      globalId: state.globalId || `${templateId}#${this.nextItemInstanceId++}`,
+      name: state.name ?? template.name,
+      description: state.description ?? template.description,
+      forms: state.forms ?? template.forms,
+      durability: state.durability ?? template.maxDurability ?? null,
+      enchantments: [...(state.enchantments || [])],
+      decayTimer: state.decayTimer ?? null,
+    };
+    if (template.type === 'container') {
+      instance.contents = state.contents
+        ? [...state.contents]
+        : (template.contents || [])
+          .map(localId => this.createItemInstance(this.getGlobalId(localId, template.area)))
+          .filter(Boolean);
+      instance.locked = state.locked ?? template.locked ?? false;
+    }
+    this.itemInstances.set(instance.globalId, instance);
+    return instance;
+  }
+
+  /**
+   * Создает труп с предметами внутри. Труп распадается через `decayTicks` тиков,
+   * а его содержимое остается лежать в комнате.
+   * @param {string} ownerName - Имя погибшего.
+   * @param {object[]} items - Экземпляры предметов, которые окажутся в трупе.
+   * @param {number} decayTicks - Время до распада в тиках.
+   * @returns {object} Экземпляр трупа.
+   */
+  createCorpse(ownerName, items, decayTicks) {
+    const forms = Object.fromEntries(
+      Object.entries(CORPSE_TEMPLATE.forms).map(([grammaticalCase, form]) => [grammaticalCase, `${form} (${ownerName})`])
+    );
+    return this.createItemInstance(CORPSE_TEMPLATE_ID, {
+      name: `труп (${ownerName})`,
+      forms,
+      contents: items,
+      decayTimer: decayTicks,
+    });
+  }
+
+  /**
+   * Получает экземпляр предмета по его ID.
+   * @param {string} instanceId - ID экземпляра.
+   * @returns {object|null}
+   */
+  getItemInstance(instanceId) {
+    return this.itemInstances.get(instanceId) || null;
+  }
+
+  /**
+   * Уничтожает экземпляр предмета (например, выпитое зелье или проданный товар).
+   * Содержимое контейнера не уничтожается - его нужно переложить заранее.
+   * @param {string} instanceId - ID экземпляра.
+   */
+  destroyItemInstance(instanceId) {
+    this.itemInstances.delete(instanceId);
+  }
+
+  /**
+   * Возвращает данные экземпляра для сохранения: ссылку на шаблон и собственное состояние.
+   * Необязательные поля сохраняются, только если они заданы.
+   * @param {object} item - Экземпляр предмета.
+   * @returns {object}
+   */
+  serializeItemInstance(item) {
+    const data = {
+      globalId: item.globalId,
+      templateId: item.templateId,
+      durability: item.durability,
+      enchantments: item.enchantments,
+    };
+    const template = this.items.get(item.templateId);
+    if (item.contents) data.contents = item.contents.map(content => content.globalId);
+    if (template?.key) data.locked = item.locked;
+    if (item.decayTimer != null) data.decayTimer = item.decayTimer;
+    if (item.name !== template?.name) data.name = item.name;
+    if (item.description !== template?.description) data.description = item.description;
+    if (item.forms !== template?.forms) data.forms = item.forms;
+    return data;
+  }
+
+  /**
+   * Восстанавливает экземпляр из сохранения. Если экземпляр уже восстановлен, возвращает его.
+   * Старые сохранения хранили копии шаблонов без `templateId` - для них создается новый экземпляр.
+   * @param {object} data - Сохраненные данные экземпляра.
+   * @returns {object|null}
+   */
+  restoreItemInstance(data) {
+    if (!data) return null;
+    if (!data.templateId) return this.createItemInstance(data.globalId);
+    return this.itemInstances.get(data.globalId) || this.createItemInstance(data.templateId, data);
+  }
+
+  /**
+   * Заменяет ID в содержимом восстановленных контейнеров на сами экземпляры.
+   * Вызывается после восстановления всех экземпляров из сохранения.
+   */
+  resolveContainerContents() {
+    for (const item of this.itemInstances.values()) {
+      if (!item.contents) continue;
+      item.contents = item.contents
+        .map(content => typeof content === 'string' ? this.itemInstances.get(content) : content)
+        .filter(Boolean);
+    }
+  }
+
+  /**
+   * Получает шаблон предмета по ID
    * @param {string} localId - Локальный ID предмета
    * @param {string} areaId - ID зоны, в которой находится предмет
    * @returns {Object|null} данные предмета
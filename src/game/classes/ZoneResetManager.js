@@ -0,0 +1,183 @@
+/** Режимы сброса зоны, как в CircleMUD: никогда, только когда в зоне нет игрока, всегда. */
+const RESET_MODES = ['never', 'empty', 'always'];
+
+/**
+ * @typedef {object} ZoneResetCommand
+ * @property {'mob'|'item'|'equip'|'door'} type - Тип команды.
+ * @property {string} [npc] - Локальный ID NPC (для `mob` и `equip`).
+ * @property {string} [room] - Локальный ID комнаты (для `mob`, `item` и `door`).
+ * @property {string} [item] - Локальный ID шаблона предмета (для `item` и `equip`).
+ * @property {string} [direction] - Направление выхода с дверью (для `door`).
+ * @property {'open'|'closed'|'locked'} [state] - Состояние двери (по умолчанию - начальное из JSON).
+ */
+
+/**
+ * @typedef {object} ZoneResetRules
+ * @property {number} lifespan - Через сколько тиков после прошлого сброса зона сбрасывается снова.
+ * @property {'never'|'empty'|'always'} mode - Режим сброса.
+ * @property {ZoneResetCommand[]} commands - Команды сброса, выполняются по порядку.
+ */
+
+/**
+ * @class ZoneResetManager
+ * @description Сбрасывает зоны по правилам `reset` из JSON зоны в стиле CircleMUD: когда возраст зоны
+ * достигает `lifespan`, выполняются ее команды - возродить NPC на месте, вернуть предметы в комнаты,
+ * экипировать NPC и вернуть двери в нужное состояние. Команды только восполняют недостающее:
+ * живой NPC не появляется второй раз, а предмет не кладется в комнату, где он уже лежит.
+ */
+export class ZoneResetManager {
+  /**
+   * @param {import('../GameEngine.js').GameEngine} game - Экземпляр игрового движка.
+   */
+  constructor(game) {
+    this.game = game;
+    /** @type {Object.<string, number>} Возраст каждой загруженной зоны в тиках с прошлого сброса. */
+    this.ages = {};
+  }
+
+  /**
+   * Сбрасывает состояние менеджера.
+   */
+  reset() {
+    this.ages = {};
+  }
+
+  /**
+   * Возвращает правила сброса зоны.
+   * @param {string} areaId - ID зоны.
+   * @returns {ZoneResetRules|null} Правила или null, если зона не сбрасывается.
+   */
+  getRules(areaId) {
+    const rules = this.game.world.areas.get(areaId)?.reset;
+    if (!rules || !RESET_MODES.includes(rules.mode) || rules.mode === 'never') return null;
+    return rules;
+  }
+
+  /**
+   * Увеличивает возраст загруженных зон и сбрасывает те, чье время пришло.
+   * Зона в режиме `empty`, где находится игрок, ждет, пока он уйдет.
+   * @returns {string[]} Сообщения о событиях сброса в комнате игрока.
+   */
+  tick() {
+    const messages = [];
+    const playerAreaId = this.game.getCurrentRoom()?.area;
+    for (const areaId of this.game.world.loadedAreaIds) {
+      const rules = this.getRules(areaId);
+      if (!rules) continue;
+      this.ages[areaId] = (this.ages[areaId] || 0) + 1;
+      if (this.ages[areaId] < rules.lifespan) continue;
+      if (rules.mode === 'empty' && areaId === playerAreaId) continue;
+      messages.push(...this.resetArea(areaId));
+    }
+    return messages;
+  }
+
+  /**
+   * Выполняет команды сброса зоны и обнуляет ее возраст.
+   * @param {string} areaId - ID зоны.
+   * @returns {string[]} Сообщения о событиях сброса в комнате игрока.
+   */
+  resetArea(areaId) {
+    this.ages[areaId] = 0;
+    const commands = this.game.world.areas.get(areaId)?.reset?.commands || [];
+    return commands
+      .map(command => this._execute(areaId, command))
+      .filter(Boolean);
+  }
+
+  /**
+   * Выполняет одну команду сброса.
+   * @param {string} areaId - ID зоны.
+   * @param {ZoneResetCommand} command - Команда.
+   * @returns {string|null} Сообщение для игрока или null.
+   * @private
+   */
+  _execute(areaId, command) {
+    switch (command.type) {
+      case 'mob':
+        return this._loadMob(areaId, command);
+      case 'item':
+        return this._putItem(areaId, command);
+      case 'equip':
+        return this._equipMob(areaId, command);
+      case 'door':
+        return this._resetDoor(areaId, command);
+      default:
+        console.warn(`Неизвестная команда сброса зоны ${areaId}:`, command);
+        return null;
+    }
+  }
+
+  /**
+   * Возрождает погибшего NPC в его комнате с вещами из описания NPC.
+   * @param {string} areaId
+   * @param {ZoneResetCommand} command
+   * @returns {string|null}
+   * @private
+   */
+  _loadMob(areaId, { npc: localNpcId, room: localRoomId }) {
+    const { world } = this.game;
+    const globalNpcId = world.getGlobalId(localNpcId, areaId);
+    const roomId = world.getGlobalId(localRoomId, areaId);
+    const npc = world.npcs.get(globalNpcId);
+    if (!npc || !world.rooms.has(roomId)) return null;
+    if (npc.isAlive() && world.npcLocationMap.has(globalNpcId)) return null;
+
+    npc.respawn();
+    world.outfitNpc(npc);
+    world.moveNpc(globalNpcId, roomId);
+    return this.game.player.currentRoom === roomId
+      ? this.game.colorize(`${npc.name} появляется из тени!`, 'combat-npc-death')
+      : null;
+  }
+
+  /**
+   * Кладет предмет в комнату, если такого там еще нет.
+   * @param {string} areaId
+   * @param {ZoneResetCommand} command
+   * @returns {null}
+   * @private
+   */
+  _putItem(areaId, { item: localItemId, room: localRoomId }) {
+    const { world } = this.game;
+    const templateId = world.getGlobalId(localItemId, areaId);
+    const room = world.rooms.get(world.getGlobalId(localRoomId, areaId));
+    if (!room || room.items.some(itemId => world.getItemInstance(itemId)?.templateId === templateId)) return null;
+
+    const instance = world.createItemInstance(templateId);
+    if (instance) room.addItem(instance.globalId);
+    return null;
+  }
+
+  /**
+   * Выдает живому NPC предмет экипировки, если соответствующий слот пуст.
+   * @param {string} areaId
+   * @param {ZoneResetCommand} command
+   * @returns {null}
+   * @private
+   */
+  _equipMob(areaId, { npc: localNpcId, item: localItemId }) {
+    const { world } = this.game;
+    const npc = world.npcs.get(world.getGlobalId(localNpcId, areaId));
+    const template = world.items.get(world.getGlobalId(localItemId, areaId));
+    if (!npc?.isAlive() || !template || npc.getEquipped(template.type)) return null;
+
+    npc.equip(world.createItemInstance(world.getGlobalId(localItemId, areaId)));
+    return null;
+  }
+
+  /**
+   * Возвращает дверь (с обеих сторон) в состояние из команды или в начальное.
+   * @param {string} areaId
+   * @param {ZoneResetCommand} command
+   * @returns {null}
+   * @private
+   */
+  _resetDoor(areaId, { room: localRoomId, direction, state }) {
+    const { world } = this.game;
+    const room = world.rooms.get(world.getGlobalId(localRoomId, areaId));
+    const door = room?.exits.get(direction)?.door;
+    if (door) world.setDoorState(room, direction, state || door.initialState);
+    return null;
+  }
+}
@@ -0,0 +1,37 @@
+export default {
+  name: 'alias',
+  aliases: ['псевдоним'],
+  description: 'задать свой псевдоним команды: alias <имя> <команда> ($1, $* - аргументы, ";" - несколько команд)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    const c = game.colorize;
+    const aliases = game.player.aliases || {};
+    const [name, ...templateParts] = cmd.args;
+
+    if (!name) {
+      const names = Object.keys(aliases);
+      if (names.length === 0) {
+        return 'У вас нет псевдонимов. Пример: alias kr kill крыса';
+      }
+      return `Ваши псевдонимы:\n${names.map(aliasName => `  ${c(aliasName, 'exit-name')} = ${aliases[aliasName]}`).join('\n')}`;
+    }
+
+    if (templateParts.length === 0) {
+      return aliases[name]
+        ? `${c(name, 'exit-name')} = ${aliases[name]}`
+        : `Псевдоним "${name}" не задан.`;
+    }
+
+    const template = templateParts.join(' ');
+    const error = game.commandManager.setUserAlias(name, template);
+    if (error) {
+      return error;
+    }
+    return `Псевдоним ${c(name, 'exit-name')} = ${template}`;
+  }
+};
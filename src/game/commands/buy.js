@@ -35,17 +35,16 @@ export default {
       return `${game.colorize(npc.name, 'npc-name npc-friendly')} говорит: "У вас недостаточно золота. Этот товар стоит ${itemPrice}."`;
     }
 
-    // Создаем новый экземпляр предмета, чтобы не было проблем с мутацией оригинала
-    const item = { ...itemToBuy, globalId: game.world.getGlobalId(itemToBuy.id, itemToBuy.area) };
-
     // Проверяем, может ли игрок нести предмет
-    if (!game.player.canCarry(item)) {
+    if (!game.player.canCarry(itemToBuy)) {
       return `${game.colorize(npc.name, 'npc-name npc-friendly')} говорит: "Этот товар слишком тяжел для вас. Освободите место в инвентаре."`;
     }
 
     // Покупка за золото
     game.player.gold -= itemPrice;
+    // Каждая покупка - новый экземпляр предмета со своим ID
+    const item = game.world.createItemInstance(game.world.getGlobalId(itemToBuy.id, itemToBuy.area));
     game.player.addItem(item);
-    return `${game.colorize(npc.name, 'npc-name npc-friendly')} говорит: "Вот ваш ${game.colorize(item.name, 'item-name')}. Пользуйтесь на здоровье!" Вы заплатили ${itemPrice} золота.`;
+    return `${game.colorize(npc.name, 'npc-name npc-friendly')} говорит: "Держите ${game.colorize(game.decline(item, 'accusative'), 'item-name')}. Пользуйтесь на здоровье!" Вы заплатили ${itemPrice} золота.`;
   }
 };
\ No newline at end of file
@@ -0,0 +1,29 @@
+export default {
+  name: 'close',
+  aliases: ['закрыть'],
+  description: 'закрыть дверь (close <направление|дверь>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Что вы хотите закрыть? Используйте: close <направление или дверь>';
+    }
+
+    const found = game.findDoor(cmd.target);
+    if (!found) {
+      return `Вы не видите здесь двери "${cmd.target}".`;
+    }
+
+    const { direction, door } = found;
+    if (door.state !== 'open') {
+      return `Проход ${direction} уже закрыт.`;
+    }
+
+    game.world.setDoorState(game.getCurrentRoom(), direction, 'closed');
+    return `Вы закрыли ${game.colorize(game.decline(door, 'accusative'), 'item-name')}.`;
+  }
+};
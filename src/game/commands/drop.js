@@ -1,7 +1,7 @@
 export default {
   name: 'drop',
   aliases: ['бросить'],
-  description: 'бросить предмет',
+  description: 'бросить предмет (drop <предмет|all|all.предмет>)',
 
   /**
    * @param {import('../GameEngine').GameEngine} game
@@ -13,15 +13,16 @@ export default {
       return 'Что вы хотите бросить?';
     }
 
-    const item = game.player.findItem(cmd.target);
-    if (!item) {
-      return `У вас нет "${cmd.target}".`;
+    const items = game.player.findItems(cmd.target);
+    if (items.length === 0) {
+      return `У вас нет "${cmd.target}".${game.suggestTargets(cmd.target, game.player.inventory)}`;
     }
 
     const currentRoom = game.getCurrentRoom();
-    game.player.removeItem(item.globalId);
-    currentRoom.addItem(item.globalId); // В комнату добавляем глобальный ID
-
-    return `Вы бросили ${game.colorize(item.name, 'item-name')}.`;
+    return items.map(item => {
+      game.player.removeItem(item.globalId);
+      currentRoom.addItem(item.globalId); // В комнату добавляем ID экземпляра
+      return `Вы бросили ${game.colorize(game.decline(item, 'accusative'), 'item-name')}.`;
+    }).join('\n');
   }
-};
\ No newline at end of file
+};
@@ -15,7 +15,7 @@ export default {
 
     const item = game.player.findItem(cmd.target);
     if (!item) {
-      return `У вас нет "${cmd.target}".`;
+      return `У вас нет "${cmd.target}".${game.suggestTargets(cmd.target, game.player.inventory)}`;
     }
 
     // Новый универсальный метод сам проверяет тип предмета
@@ -14,23 +14,23 @@ export default {
     }
 
     const currentRoom = game.getCurrentRoom();
-    const exits = currentRoom.getExits();
+    // Открывать двери и уговаривать стражей на бегу некогда
+    const exits = game.getEscapeExits();
     if (exits.length === 0) {
       return 'Некуда бежать!';
     }
 
-    const npc = game.combatManager.npc;
-    const fleeMessage = `Вы в панике сбегаете от ${game.colorize(npc.name, `npc-name npc-${npc.type}`)}.`;
+    const opponentNames = game.combatManager.getOpponents()
+      .map(npc => game.colorize(npc.name, `npc-name npc-${npc.type}`))
+      .join(', ');
+    const fleeMessage = `Вы в панике сбегаете от ${opponentNames}.`;
 
     // Завершаем бой с флагом, что игрок сбежал
     game.combatManager.stop(true);
 
     // Выполняем перемещение в случайном направлении
     const randomExitDirection = exits[Math.floor(Math.random() * exits.length)];
-    const exit = currentRoom.getExit(randomExitDirection);
-    const targetRoomId = (typeof exit === 'object')
-      ? game.world.getGlobalId(exit.room, exit.area)
-      : game.world.getGlobalId(exit, currentRoom.area);
+    const targetRoomId = game.world.getExitRoomId(currentRoom, currentRoom.getExit(randomExitDirection));
 
     const moveResult = await game.moveToRoom(targetRoomId, randomExitDirection);
     return `${fleeMessage}\n\n${moveResult.message}`;
@@ -1,7 +1,59 @@
+import { TargetSpec } from '../utils/targetSpec.js';
+
+/**
+ * Берет предметы из контейнера в инвентаре или комнате.
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {string} itemName - Цель внутри контейнера (`зелье`, `2.зелье`, `all`).
+ * @param {object} container - Экземпляр контейнера.
+ * @returns {string}
+ */
+function getFromContainer(game, itemName, container) {
+  const containerName = game.colorize(container.name, 'item-name');
+  if (container.locked) {
+    return `${containerName} заперт.`;
+  }
+  const containerGenitive = game.colorize(game.decline(container, 'genitive'), 'item-name');
+  const items = new TargetSpec(itemName).select(container.contents);
+  if (items.length === 0) {
+    return container.contents.length > 0
+      ? `В ${game.colorize(game.decline(container, 'prepositional'), 'item-name')} нет "${itemName}".`
+      : `${containerName} пуст.`;
+  }
+  // Предмет из своей сумки игрок уже несет, проверять вес нужно только для чужих контейнеров
+  const isCarried = game.player.getCarriedContainers().some(carried => carried.globalId === container.globalId);
+  return items.map(item => {
+    if (!isCarried && !game.player.canCarry(item)) {
+      return `${item.name} слишком тяжелый для вас.`;
+    }
+    container.contents.splice(container.contents.indexOf(item), 1);
+    game.player.addItem(item);
+    return `Вы взяли ${game.colorize(game.decline(item, 'accusative'), 'item-name')} из ${containerGenitive}.`;
+  }).join('\n');
+}
+
+/**
+ * Перемещает предмет из комнаты в инвентарь.
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {import('../classes/Room').Room} room - Текущая комната.
+ * @param {object} item - Экземпляр предмета.
+ * @returns {string}
+ */
+function getFromRoom(game, room, item) {
+  if (!item.canTake) {
+    return `Вы не можете взять ${game.decline(item, 'accusative')}.`;
+  }
+  if (!game.player.canCarry(item)) {
+    return `${item.name} слишком тяжелый для вас.`;
+  }
+  room.removeItem(item.globalId);
+  game.player.addItem(item);
+  return `Вы взяли ${game.colorize(game.decline(item, 'accusative'), 'item-name')}.`;
+}
+
 export default {
   name: 'get',
   aliases: ['взять'],
-  description: 'взять предмет',
+  description: 'взять предмет (get <предмет|all|all.предмет> [из] [контейнер])',
 
   /**
    * @param {import('../GameEngine').GameEngine} game
@@ -14,27 +66,27 @@ export default {
     }
 
     const currentRoom = game.getCurrentRoom();
-    const target = cmd.target.toLowerCase();
+    const spec = new TargetSpec(cmd.target);
+    const items = currentRoom.findItems(cmd.target, game).map(globalId => game.world.getItemInstance(globalId));
 
-    // Ищем предмет в локации
-    const globalItemId = currentRoom.findItem(target, game);
-    if (!globalItemId) {
-      return `Вы не видите "${cmd.target}" здесь.`;
+    if (items.length === 0) {
+      // "get зелье сумка" / "get all из сундука" - берем предметы из контейнера в инвентаре или комнате
+      const containerTarget = game.findContainerTarget(cmd.args);
+      if (containerTarget) {
+        return getFromContainer(game, containerTarget.itemName, containerTarget.container);
+      }
+      return spec.all ? 'Здесь нечего взять.' : `Вы не видите "${cmd.target}" здесь.${game.suggestTargets(cmd.target)}`;
     }
 
-    const item = game.world.items.get(globalItemId);
-    if (!item.canTake) {
-      return `Вы не можете взять ${item.name}.`;
+    if (!spec.all) {
+      return getFromRoom(game, currentRoom, items[0]);
     }
 
-    if (!game.player.canCarry(item)) {
-      return `${item.name} слишком тяжелый для вас.`;
+    // "get all" пропускает то, что взять нельзя (трупы, доски объявлений)
+    const takeable = items.filter(item => item.canTake);
+    if (takeable.length === 0) {
+      return 'Здесь нечего взять.';
     }
-
-    // Перемещаем предмет из локации в инвентарь
-    currentRoom.removeItem(globalItemId);
-    game.player.addItem({ ...item, globalId: globalItemId });
-
-    return `Вы взяли ${game.colorize(item.name, 'item-name')}.`;
+    return takeable.map(item => getFromRoom(game, currentRoom, item)).join('\n');
   }
-};
\ No newline at end of file
+};
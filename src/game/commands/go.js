@@ -32,9 +32,7 @@ export default {
       return `Вы не можете пойти ${direction} отсюда.`;
     }
 
-    const targetRoomId = (typeof exit === 'object')
-      ? game.world.getGlobalId(exit.room, exit.area)
-      : game.world.getGlobalId(exit, currentRoom.area);
+    const targetRoomId = game.world.getExitRoomId(currentRoom, exit);
 
     const result = await game.moveToRoom(targetRoomId, direction);
 
@@ -14,18 +14,20 @@ export default {
     }
 
     let result = 'Ваш инвентарь:\n';
-    let totalWeight = 0;
 
-    game.player.inventory.forEach(item => {
-      result += `  ${game.colorize(item.name, 'item-name')}`;
-      if (item.weight) {
-        result += ` (вес: ${item.weight})`;
-        totalWeight += item.weight;
+    // Содержимое контейнеров выводится с отступом под самим контейнером
+    const listItems = (items, indent) => items.forEach(item => {
+      const weight = game.player.getItemWeight(item);
+      result += `${indent}${game.colorize(item.name, 'item-name')}`;
+      if (weight) {
+        result += ` (вес: ${weight})`;
       }
       result += '\n';
+      if (item.contents && !item.locked) listItems(item.contents, indent + '    ');
     });
+    listItems(game.player.inventory, '  ');
 
-    result += `\nОбщий вес: ${totalWeight}/${game.player.strength * 10}\n`;
+    result += `\nОбщий вес: ${game.player.getTotalWeight()}/${game.player.strength * 10}\n`;
     result += `У вас ${game.colorize(game.player.gold, 'exit-name')} золота.`;
     return result;
   }
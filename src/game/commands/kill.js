@@ -9,10 +9,6 @@ export default {
    * @returns {string}
    */
   execute(game, cmd) {
-    if (game.player.state === 'fighting') {
-      return 'Вы уже в бою!';
-    }
-
     if (!cmd.target) {
       return 'Кого вы хотите атаковать?';
     }
@@ -24,17 +20,17 @@ export default {
     // Ищем НПС в локации
     const npcId = currentRoom.findNpc(target, game, currentAreaId);
     if (!npcId) {
-      return `Здесь нет "${cmd.target}" для атаки.`;
+      return `Здесь нет "${cmd.target}" для атаки.${game.suggestTargets(cmd.target)}`;
     }
     const npc = game.getNpc(npcId, currentAreaId);
 
-    if (npc.type === 'friendly') {
+    // Дружелюбного NPC можно бить, только если он сам вступил в бой
+    if (npc.type === 'friendly' && !game.combatManager?.opponents.includes(npc)) {
       return `${game.colorize(npc.name, `npc-name npc-${npc.type}`)} дружелюбен к вам. Вы не можете атаковать.`;
     }
 
-    // Используем новый метод для начала боя
-    game.startCombat(npc);
-
-    return ''; // Все сообщения теперь обрабатываются через события
+    // Вне боя начинает новый бой, в бою - переключает цель на этого NPC
+    // (сообщения нового боя обрабатываются через события)
+    return game.startCombat(npc);
   }
 };
\ No newline at end of file
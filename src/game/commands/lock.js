@@ -0,0 +1,69 @@
+/**
+ * Запирает дверь ключом (дверь должна быть закрыта).
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {{direction: string, door: import('../classes/Room').Door}} doorTarget - Найденная дверь.
+ * @returns {string}
+ */
+function lockDoor(game, { direction, door }) {
+  const currentRoom = game.getCurrentRoom();
+  if (!door.key) {
+    return `У ${game.colorize(game.decline(door, 'genitive'), 'item-name')} нет замка.`;
+  }
+  if (door.state === 'locked') {
+    return `Проход ${direction} уже заперт.`;
+  }
+  if (door.state === 'open') {
+    return `Сначала закройте ${game.colorize(game.decline(door, 'accusative'), 'item-name')}.`;
+  }
+
+  const key = game.player.inventory.find(item => item.templateId === game.world.getGlobalId(door.key, currentRoom.area));
+  if (!key) {
+    return `У вас нет ключа от ${game.colorize(game.decline(door, 'genitive'), 'item-name')}.`;
+  }
+
+  game.world.setDoorState(currentRoom, direction, 'locked');
+  return `Вы заперли ${game.colorize(game.decline(door, 'accusative'), 'item-name')} ${game.colorize(game.decline(key, 'instrumental'), 'item-name')}.`;
+}
+
+export default {
+  name: 'lock',
+  aliases: ['запереть'],
+  description: 'запереть дверь или контейнер ключом (lock <направление|дверь|контейнер>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Что вы хотите запереть?';
+    }
+
+    const doorTarget = game.findDoor(cmd.target);
+    if (doorTarget) {
+      return lockDoor(game, doorTarget);
+    }
+
+    const container = game.findContainer(cmd.target);
+    if (!container) {
+      return `Вы не видите "${cmd.target}" здесь.`;
+    }
+
+    const containerName = game.colorize(container.name, 'item-name');
+    if (!container.key) {
+      return `У ${game.colorize(game.decline(container, 'genitive'), 'item-name')} нет замка.`;
+    }
+    if (container.locked) {
+      return `${containerName} уже заперт.`;
+    }
+
+    const key = game.player.inventory.find(item => item.templateId === game.world.getGlobalId(container.key, container.area));
+    if (!key) {
+      return `У вас нет ключа от ${game.colorize(game.decline(container, 'genitive'), 'item-name')}.`;
+    }
+
+    container.locked = true;
+    return `Вы заперли ${game.colorize(game.decline(container, 'accusative'), 'item-name')} ${game.colorize(game.decline(key, 'instrumental'), 'item-name')}.`;
+  }
+};
@@ -1,3 +1,32 @@
+/**
+ * Перечисляет содержимое контейнера (сумки, сундука, трупа).
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {object} container - Экземпляр контейнера.
+ * @returns {string}
+ */
+function describeContents(game, container) {
+  if (container.locked) {
+    return `\n\n${game.colorize('Заперто.', 'info-label')}`;
+  }
+  const names = container.contents.map(item => `  ${game.colorize(item.name, 'item-name')}`);
+  return names.length > 0
+    ? `\n\n${game.colorize('Внутри:', 'info-label')}\n${names.join('\n')}`
+    : `\n\n${game.colorize('Внутри пусто.', 'info-label')}`;
+}
+
+/**
+ * Перечисляет оружие и броню NPC.
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {import('../classes/NPC').NPC} npc
+ * @returns {string}
+ */
+function describeEquipment(game, npc) {
+  const lines = [['Оружие', npc.equippedWeapon], ['Броня', npc.equippedArmor]]
+    .filter(([, item]) => item)
+    .map(([slotName, item]) => `  ${slotName}: ${game.colorize(item.name, 'item-name')}`);
+  return lines.length > 0 ? `\n\n${game.colorize('Экипировка:', 'info-label')}\n${lines.join('\n')}` : '';
+}
+
 export default {
   name: 'look',
   aliases: ['л', 'смотреть', 'осмотреть'],
@@ -15,6 +44,9 @@ export default {
         'player-dead-look'
       );
     }
+    if (game.player.state === 'sleeping') {
+      return 'Во сне вы ничего не видите. Проснитесь (wake), чтобы осмотреться.';
+    }
     const currentRoom = game.getCurrentRoom();
 
     if (!cmd.target) {
@@ -22,26 +54,38 @@ export default {
       return currentRoom.getFullDescription(game);
     }
 
+    // "look в сумку" - заглядываем в контейнер
+    if (['in', 'в'].includes(cmd.args[0]) && cmd.args.length > 1) {
+      const containerName = cmd.args.slice(1).join(' ');
+      const container = game.findContainer(containerName);
+      if (!container) {
+        return `Вы не видите "${containerName}" здесь.`;
+      }
+      return game.colorize(container.name, 'item-name') + describeContents(game, container).replace(/^\n/, '');
+    }
+
     // Осматриваем конкретный предмет или НПС
     const target = cmd.target.toLowerCase();
 
     // Ищем среди предметов в комнате
     const globalItemId = currentRoom.findItem(target, game);
     if (globalItemId) {
-      const item = game.world.items.get(globalItemId);
-      return item.description + (item.readText ? `\n\nНа ${game.colorize(item.name, 'item-name')} написано: "${item.readText}"` : '');
+      const item = game.world.getItemInstance(globalItemId);
+      return item.description
+        + (item.readText ? `\n\nНа ${game.colorize(game.decline(item, 'prepositional'), 'item-name')} написано: "${item.readText}"` : '')
+        + (item.contents ? describeContents(game, item) : '');
     }
 
     // Ищем среди предметов в инвентаре
     const inventoryItem = game.player.findItem(target);
     if (inventoryItem) {
-      return inventoryItem.description;
+      return inventoryItem.description + (inventoryItem.contents ? describeContents(game, inventoryItem) : '');
     }
 
     // Ищем в товарах торговца
     const traderItem = game._findItemInTraderShop(target);
     if (traderItem) {
-      return traderItem.description + (traderItem.readText ? `\n\nНа ${game.colorize(traderItem.name, 'item-name')} написано: "${traderItem.readText}"` : '');
+      return traderItem.description + (traderItem.readText ? `\n\nНа ${game.colorize(game.decline(traderItem, 'prepositional'), 'item-name')} написано: "${traderItem.readText}"` : '');
     }
 
     // Ищем среди НПС
@@ -49,9 +93,9 @@ export default {
     const npcIdInRoom = currentRoom.findNpc(target, game, currentAreaId);
     if (npcIdInRoom) {
       const npc = game.getNpc(npcIdInRoom, currentAreaId);
-      return npc.description + (npc.hitPoints <= 0 ? game.colorize(' (мертв)', 'npc-dead') : '');
+      return npc.description + (npc.hitPoints <= 0 ? game.colorize(' (мертв)', 'npc-dead') : '') + describeEquipment(game, npc);
     }
 
-    return `Вы не видите "${cmd.target}" здесь.`;
+    return `Вы не видите "${cmd.target}" здесь.${game.suggestTargets(cmd.target)}`;
   }
 };
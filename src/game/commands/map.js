@@ -0,0 +1,94 @@
+import { AsciiMap } from '../utils/asciiMap.js';
+import { RussianMorphology } from '../utils/russianMorphology.js';
+
+/**
+ * Рисует исследованную часть зоны.
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {string} areaId - ID зоны.
+ * @param {string} areaName - Название зоны для заголовка.
+ * @returns {string}
+ */
+function renderArea(game, areaId, areaName) {
+  const c = game.colorize;
+  const explored = game.world.getExploredRooms(areaId, game.player.visitedRooms);
+
+  const mapRooms = [...explored.entries()]
+    .map(([roomId, state]) => {
+      const room = game.world.rooms.get(roomId);
+      if (!room?.map) return null;
+      // Из неисследованной комнаты выходы еще не известны
+      const linkedTo = state === 'visited'
+        ? room.getExits().map(direction => game.world.getExitRoomId(room, room.getExit(direction)))
+        : [];
+      return { id: roomId, x: room.map.x, y: room.map.y, state, linkedTo };
+    })
+    .filter(Boolean);
+
+  const lines = AsciiMap.render(mapRooms, game.player.currentRoom, c);
+  if (lines.length === 0) {
+    return explored.size === 0 ? `Вы еще не были в зоне "${areaName}".` : 'У этой местности нет карты.';
+  }
+
+  const currentRoom = game.getCurrentRoom();
+  return [
+    c(`Карта: ${areaName}`, 'room-name'),
+    '',
+    ...lines,
+    '',
+    c(AsciiMap.legend(), 'info-label'),
+    ...(currentRoom.area === areaId ? [`${c('Вы здесь:', 'info-label')} ${currentRoom.name}`] : []),
+  ].join('\n');
+}
+
+/**
+ * Описывает зоны мира и связи между ними.
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {ReturnType<import('../classes/WorldManager').WorldManager['getWorldMap']>} worldMap
+ * @returns {string}
+ */
+function renderWorld(game, worldMap) {
+  const c = game.colorize;
+  const currentAreaId = game.getCurrentRoom().area;
+  const areaNames = new Map(worldMap.areas.map(area => [area.id, area.name]));
+
+  const lines = worldMap.areas.map(area => {
+    const levels = area.levelRange ? ` (уровни ${area.levelRange[0]}-${area.levelRange[1]})` : '';
+    const neighbours = worldMap.links
+      .filter(link => link.includes(area.id))
+      .map(link => areaNames.get(link[0] === area.id ? link[1] : link[0]));
+    const here = area.id === currentAreaId ? ` ${c('← вы здесь', 'exit-name')}` : '';
+    const linksText = neighbours.length > 0 ? `\n    ${c('Переходы:', 'info-label')} ${neighbours.join(', ')}` : '';
+    return `  ${c(area.name, 'room-name')}${levels}${here}${linksText}`;
+  });
+
+  return [c('Карта мира:', 'room-name'), ...lines, '', c('Карта зоны: map <зона>', 'info-label')].join('\n');
+}
+
+export default {
+  name: 'map',
+  aliases: ['карта'],
+  description: 'показать карту исследованной части зоны (map мир - карта мира, map <зона> - карта другой зоны)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    const worldMap = game.world.getWorldMap();
+    if (cmd.target === 'мир' || cmd.target === 'world') {
+      return renderWorld(game, worldMap);
+    }
+
+    if (cmd.target) {
+      const area = worldMap.areas.find(candidate => RussianMorphology.matches(candidate, cmd.target));
+      if (!area) {
+        return `Вы не знаете зоны под названием "${cmd.target}". Список зон: map мир`;
+      }
+      return renderArea(game, area.id, area.name);
+    }
+
+    const currentRoom = game.getCurrentRoom();
+    return renderArea(game, currentRoom.area, game.world.areas.get(currentRoom.area)?.name || currentRoom.area);
+  }
+};
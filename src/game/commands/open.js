@@ -0,0 +1,33 @@
+export default {
+  name: 'open',
+  aliases: ['открыть'],
+  description: 'открыть дверь (open <направление|дверь>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Что вы хотите открыть? Используйте: open <направление или дверь>';
+    }
+
+    const found = game.findDoor(cmd.target);
+    if (!found) {
+      return `Вы не видите здесь двери "${cmd.target}".`;
+    }
+
+    const { direction, door } = found;
+    const doorName = game.colorize(game.decline(door, 'accusative'), 'item-name');
+    if (door.state === 'open') {
+      return `Проход ${direction} уже открыт.`;
+    }
+    if (door.state === 'locked') {
+      return `Вы пытаетесь открыть ${doorName}, но проход заперт.`;
+    }
+
+    game.world.setDoorState(game.getCurrentRoom(), direction, 'open');
+    return `Вы открыли ${doorName}.`;
+  }
+};
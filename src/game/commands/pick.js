@@ -0,0 +1,40 @@
+export default {
+  name: 'pick',
+  aliases: ['взломать'],
+  description: 'вскрыть замок запертой двери (pick <направление|дверь>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Какой замок вы хотите вскрыть? Используйте: pick <направление или дверь>';
+    }
+
+    const found = game.findDoor(cmd.target);
+    if (!found) {
+      return `Вы не видите здесь двери "${cmd.target}".`;
+    }
+
+    const { direction, door } = found;
+    const doorName = game.colorize(game.decline(door, 'genitive'), 'item-name');
+    if (door.state !== 'locked') {
+      return `Проход ${direction} не заперт.`;
+    }
+    if (!door.pickDifficulty) {
+      return `Замок ${doorName} не поддается взлому.`;
+    }
+
+    // Бросок d20 + модификатор ловкости против сложности замка
+    const dexBonus = Math.floor((game.player.getEffectiveStat('dexterity') - 10) / 2);
+    const roll = Math.floor(Math.random() * 20) + 1;
+    if (roll + dexBonus < door.pickDifficulty) {
+      return `Вам не удалось вскрыть замок ${doorName}.`;
+    }
+
+    game.world.setDoorState(game.getCurrentRoom(), direction, 'closed');
+    return `Вы вскрыли замок ${doorName}.`;
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Проверяет, лежит ли предмет где-то внутри контейнера (на любой глубине).
+ * @param {object} container - Экземпляр контейнера.
+ * @param {object} item - Искомый экземпляр.
+ * @returns {boolean}
+ */
+function isNestedIn(container, item) {
+  return (container.contents || []).some(content => content.globalId === item.globalId || isNestedIn(content, item));
+}
+
+export default {
+  name: 'put',
+  aliases: ['положить'],
+  description: 'положить предмет в контейнер (put <предмет> [в] <контейнер>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (cmd.args.length < 2) {
+      return 'Что и куда вы хотите положить? (put <предмет> <контейнер>)';
+    }
+
+    const containerTarget = game.findContainerTarget(cmd.args);
+    if (!containerTarget) {
+      return `Вы не видите здесь такого контейнера.`;
+    }
+
+    const { itemName, container } = containerTarget;
+    const containerName = game.colorize(container.name, 'item-name');
+    const containerAccusative = game.colorize(game.decline(container, 'accusative'), 'item-name');
+    const item = game.player.findItem(itemName);
+    if (!item) {
+      return `У вас нет "${itemName}".${game.suggestTargets(itemName, game.player.inventory)}`;
+    }
+    if (item.globalId === container.globalId || isNestedIn(item, container)) {
+      return `Нельзя положить ${containerAccusative} внутрь самого себя.`;
+    }
+    if (container.locked) {
+      return `${containerName} заперт.`;
+    }
+    const itemWeight = game.player.getItemWeight(item);
+    if (container.capacity !== undefined && game.player.getContentsWeight(container) + itemWeight > container.capacity) {
+      return `${game.colorize(item.name, 'item-name')} не помещается в ${containerAccusative}.`;
+    }
+
+    game.player.removeItem(item.globalId);
+    container.contents.push(item);
+    return `Вы положили ${game.colorize(game.decline(item, 'accusative'), 'item-name')} в ${containerAccusative}.`;
+  }
+};
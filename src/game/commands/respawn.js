@@ -25,10 +25,11 @@ export default {
       respawnRoomId = 'midgard:center';
     }
     game.player.currentRoom = respawnRoomId;
+    game.player.markVisited(respawnRoomId);
 
     const respawnRoom = game.world.rooms.get(respawnRoomId);
 
     return game.colorize('Вы чувствуете, как жизнь возвращается в ваше тело. Мир вновь обретает краски.', 'player-respawn') + `\n\n` +
            respawnRoom.getFullDescription(game);
   }
-};
\ No newline at end of file
+};
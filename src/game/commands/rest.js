@@ -0,0 +1,18 @@
+export default {
+  name: 'rest',
+  aliases: ['отдых', 'отдохнуть'],
+  description: 'сесть отдохнуть (восстановление в 2 раза быстрее)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (game.player.state === 'resting') {
+      return 'Вы уже отдыхаете.';
+    }
+    game.player.state = 'resting';
+    return 'Вы садитесь и отдыхаете, переводя дух.';
+  }
+};
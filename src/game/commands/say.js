@@ -16,13 +16,13 @@ export default {
     const currentRoom = game.getCurrentRoom();
     let result = game.colorize(`Вы говорите: "${cmd.target}"`, 'player-speech') + '\n\n';
 
-    // Все НПС в локации реагируют
+    // Все НПС в локации реагируют: на ключевое слово задания - ответом по теме, иначе обычной репликой
     const responses = [];
     const [currentAreaId] = game.world.parseGlobalId(game.player.currentRoom);
     currentRoom.npcs.forEach(localNpcId => {
       const npc = game.getNpc(localNpcId, currentAreaId);
       if (npc?.isAlive()) {
-        responses.push(npc.speak(game));
+        responses.push(npc.answer(cmd.target, game) ?? npc.speak(game));
       }
     });
 
@@ -0,0 +1,41 @@
+/** Сложность поиска, если в JSON зоны она не указана. */
+const DEFAULT_SEARCH_DIFFICULTY = 12;
+
+export default {
+  name: 'search',
+  aliases: ['обыскать', 'искать'],
+  description: 'обыскать комнату в поисках скрытых выходов и предметов',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    const currentRoom = game.getCurrentRoom();
+    const roomId = game.player.currentRoom;
+    // Бросок d20 + лучший из модификаторов мудрости и интеллекта против сложности тайника
+    const bonus = Math.max(
+      Math.floor((game.player.getEffectiveStat('wisdom') - 10) / 2),
+      Math.floor((game.player.getEffectiveStat('intelligence') - 10) / 2),
+    );
+    const succeeds = difficulty => Math.floor(Math.random() * 20) + 1 + bonus >= (difficulty ?? DEFAULT_SEARCH_DIFFICULTY);
+
+    const found = [];
+    for (const direction of currentRoom.getHiddenExits()) {
+      if (!succeeds(currentRoom.exits.get(direction).searchDifficulty)) continue;
+      currentRoom.revealExit(direction);
+      game.player.markDiscovered(`${roomId}|${direction}`);
+      found.push(`Вы обнаружили скрытый выход: ${game.colorize(direction, 'exit-name')}!`);
+    }
+    for (const itemId of [...currentRoom.hiddenItems]) {
+      if (!succeeds(currentRoom.searchDifficulty)) continue;
+      currentRoom.revealItem(itemId);
+      const item = game.world.getItemInstance(itemId);
+      found.push(`Вы нашли ${game.colorize(game.decline(item, 'accusative'), 'item-name')}!`);
+    }
+
+    const header = game.colorize('Вы внимательно осматриваете все вокруг.', 'info-label');
+    return [header, ...(found.length > 0 ? found : ['Вы ничего не нашли.'])].join('\n');
+  }
+};
@@ -1,7 +1,7 @@
 export default {
   name: 'sell',
   aliases: ['продать'],
-  description: 'продать предмет торговцу',
+  description: 'продать предмет торговцу (sell <предмет|all|all.предмет>)',
 
   /**
    * @param {import('../GameEngine').GameEngine} game
@@ -18,21 +18,28 @@ export default {
       return 'Здесь нет торговцев.';
     }
 
-    const item = game.player.findItem(cmd.target);
-    if (!item) {
-      return `У вас нет "${cmd.target}".`;
+    const items = game.player.findItems(cmd.target);
+    if (items.length === 0) {
+      return `У вас нет "${cmd.target}".${game.suggestTargets(cmd.target, game.player.inventory)}`;
     }
 
-    // Нельзя продать надетый предмет
-    if (game.player.equippedWeapon?.globalId === item.globalId || game.player.equippedArmor?.globalId === item.globalId) {
-      return `Вы не можете продать экипированный предмет. Сначала снимите его.`;
-    }
+    return items.map(item => {
+      // Нельзя продать надетый предмет
+      if (game.player.equippedWeapon?.globalId === item.globalId || game.player.equippedArmor?.globalId === item.globalId) {
+        return `Вы не можете продать экипированный предмет. Сначала снимите его.`;
+      }
+
+      if (item.contents?.length > 0) {
+        return `Сначала выньте все из ${game.colorize(game.decline(item, 'genitive'), 'item-name')}.`;
+      }
 
-    game.player.removeItem(item.globalId);
+      game.player.removeItem(item.globalId);
+      game.world.destroyItemInstance(item.globalId);
 
-    const sellPrice = Math.floor((item.value || 0) / 2);
-    game.player.gold += sellPrice;
+      const sellPrice = Math.floor((item.value || 0) / 2);
+      game.player.gold += sellPrice;
 
-    return `${game.colorize(npc.name, 'npc-name npc-friendly')} говорит: "Спасибо за ${game.colorize(item.name, 'item-name')}! Вот вам ${sellPrice} золота."`;
+      return `${game.colorize(npc.name, 'npc-name npc-friendly')} говорит: "Спасибо за ${game.colorize(game.decline(item, 'accusative'), 'item-name')}! Вот вам ${sellPrice} золота."`;
+    }).join('\n');
   }
 };
\ No newline at end of file
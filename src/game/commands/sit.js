@@ -0,0 +1,18 @@
+export default {
+  name: 'sit',
+  aliases: ['сесть'],
+  description: 'сесть (восстановление в 1.5 раза быстрее)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (game.player.state === 'sitting') {
+      return 'Вы уже сидите.';
+    }
+    game.player.state = 'sitting';
+    return 'Вы садитесь.';
+  }
+};
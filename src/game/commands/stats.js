@@ -12,11 +12,15 @@ export default {
     const p = game.player;
     const c = game.colorize;
 
+    const positionTexts = { sitting: 'сидит', resting: 'отдыхает', sleeping: 'спит' };
     const stateText = p.state === 'fighting' 
       ? c('в бою', 'combat-npc-death') 
       : p.state === 'dead' 
         ? c('мертв', 'player-dead-look') 
-        : c('готов', 'combat-exp-gain');
+        : p.isResting()
+          ? c(positionTexts[p.state], 'exit-name')
+          : c('готов', 'combat-exp-gain');
+    const regen = p.getRegeneration();
 
     const hpPercentage = p.maxHitPoints > 0 ? p.hitPoints / p.maxHitPoints : 0;
     const hpFullLength = Math.round(10 * hpPercentage);
@@ -51,9 +55,15 @@ export default {
       ``,
       `  💰 ${c('Золото:'.padEnd(14), 'info-label')} ${p.gold}`,
       ``,
-      `  Состояние: ${stateText}`
+      `  Состояние: ${stateText}`,
+      `  Восстановление: +${regen.hitPoints} HP, +${regen.stamina} выносливости за 5 сек`
     ];
 
+    const effects = game.statusEffectManager.describe(p);
+    if (effects.length > 0) {
+      lines.push(``, `  ✨ ${c('Эффекты:', 'info-label')}`, ...effects.map(effect => `    - ${effect}`));
+    }
+
     return [header, ...lines, footer].join('\n');
   }
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+export default {
+  name: 'stop',
+  aliases: ['стоп'],
+  description: 'отменить команды в очереди (маршрут, цепочку, повторы)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    const count = game.commandManager.clearQueue();
+    if (count === 0) {
+      return 'Вам нечего останавливать.';
+    }
+    return `Вы останавливаетесь. Отменено команд: ${count}.`;
+  }
+};
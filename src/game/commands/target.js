@@ -0,0 +1,40 @@
+export default {
+  name: 'target',
+  aliases: ['assist', 'цель'],
+  description: 'сменить цель в бою или показать противников (target <нпс>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!game.combatManager) {
+      return 'Вы не в бою. Чтобы напасть, используйте kill <цель>.';
+    }
+
+    // Без аргумента показываем список противников
+    if (!cmd.target) {
+      const lines = game.combatManager.getOpponents().map(npc => {
+        const marker = npc === game.combatManager.npc ? '🎯' : '  ';
+        const name = game.colorize(npc.name, `npc-name npc-${npc.type}`);
+        return `${marker} ${name} (${npc.hitPoints}/${npc.maxHitPoints} HP)`;
+      });
+      return ['Ваши противники:', ...lines].join('\n');
+    }
+
+    const [currentAreaId] = game.world.parseGlobalId(game.player.currentRoom);
+    const npcId = game.getCurrentRoom().findNpc(cmd.target.toLowerCase(), game, currentAreaId);
+    if (!npcId) {
+      return `Здесь нет "${cmd.target}".${game.suggestTargets(cmd.target)}`;
+    }
+    const npc = game.getNpc(npcId, currentAreaId);
+
+    // Дружелюбного NPC можно бить, только если он сам вступил в бой
+    if (npc.type === 'friendly' && !game.combatManager?.opponents.includes(npc)) {
+      return `${game.colorize(npc.name, `npc-name npc-${npc.type}`)} дружелюбен к вам. Вы не можете атаковать.`;
+    }
+
+    return game.combatManager.setTarget(npc);
+  }
+};
@@ -0,0 +1,50 @@
+export default {
+  name: 'travel',
+  aliases: ['путь'],
+  description: 'пройти к комнате или зоне по кратчайшему пути (travel <комната|зона>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {Promise<string>}
+   */
+  async execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Куда вы хотите пройти? Используйте: travel <комната или зона>';
+    }
+
+    const targetRoomIds = game.world.findRoomIds(cmd.target);
+    if (targetRoomIds.size === 0) {
+      return `Вы не знаете места под названием "${cmd.target}".`;
+    }
+
+    const path = await game.world.findPath(game.player.currentRoom, roomId => targetRoomIds.has(roomId));
+    if (!path) {
+      return `Вы не знаете, как добраться до "${cmd.target}".`;
+    }
+    if (path.length === 0) {
+      return 'Вы уже здесь.';
+    }
+
+    const destination = game.world.rooms.get(path[path.length - 1].roomId);
+    const header = game.colorize(`Вы отправляетесь в путь: ${destination.name} (шагов: ${path.length}).`, 'info-label');
+    // Перед закрытой дверью на пути ее нужно открыть
+    const startRoom = game.getCurrentRoom();
+    const commands = path.flatMap((step, index) => {
+      const fromRoom = index === 0 ? startRoom : game.world.rooms.get(path[index - 1].roomId);
+      const goCommand = `go ${step.direction}`;
+      return fromRoom.isExitOpen(step.direction) ? [goCommand] : [`open ${step.direction}`, goCommand];
+    });
+    const [firstCommand, ...restCommands] = commands;
+    const firstStepMessage = await game.commandManager.execute(firstCommand);
+    const firstStepDone = firstCommand.startsWith('open ')
+      ? startRoom.isExitOpen(path[0].direction)
+      : game.player.currentRoom === path[0].roomId;
+
+    // Остальные шаги выполняются по одному за тик; начавшийся бой прервет очередь
+    if (restCommands.length > 0 && !game.combatManager && firstStepDone) {
+      game.commandManager.enqueue(restCommands);
+    }
+    return `${header}\n${firstStepMessage}`;
+  }
+};
@@ -0,0 +1,20 @@
+export default {
+  name: 'unalias',
+  aliases: [],
+  description: 'удалить свой псевдоним команды',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Какой псевдоним удалить?';
+    }
+    if (!game.commandManager.removeUserAlias(cmd.target)) {
+      return `Псевдоним "${cmd.target}" не задан.`;
+    }
+    return `Псевдоним ${game.colorize(cmd.target, 'exit-name')} удален.`;
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Отпирает дверь ключом. Дверь остается закрытой.
+ * @param {import('../GameEngine').GameEngine} game
+ * @param {{direction: string, door: import('../classes/Room').Door}} doorTarget - Найденная дверь.
+ * @returns {string}
+ */
+function unlockDoor(game, { direction, door }) {
+  const currentRoom = game.getCurrentRoom();
+  if (door.state !== 'locked') {
+    return `Проход ${direction} не заперт.`;
+  }
+  if (!door.key) {
+    const doorName = game.colorize(game.decline(door, 'genitive'), 'item-name');
+    return door.pickDifficulty
+      ? `Ключа от ${doorName} не существует. Остается только взломать замок: pick ${direction}.`
+      : `Замок ${doorName} не открыть ключом.`;
+  }
+
+  const key = game.player.inventory.find(item => item.templateId === game.world.getGlobalId(door.key, currentRoom.area));
+  if (!key) {
+    return `У вас нет ключа от ${game.colorize(game.decline(door, 'genitive'), 'item-name')}.`;
+  }
+
+  game.world.setDoorState(currentRoom, direction, 'closed');
+  return `Вы отперли ${game.colorize(game.decline(door, 'accusative'), 'item-name')} ${game.colorize(game.decline(key, 'instrumental'), 'item-name')}.`;
+}
+
+export default {
+  name: 'unlock',
+  aliases: ['отпереть'],
+  description: 'отпереть дверь или контейнер ключом (unlock <направление|дверь|контейнер>)',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    if (!cmd.target) {
+      return 'Что вы хотите отпереть?';
+    }
+
+    const doorTarget = game.findDoor(cmd.target);
+    if (doorTarget) {
+      return unlockDoor(game, doorTarget);
+    }
+
+    const container = game.findContainer(cmd.target);
+    if (!container) {
+      return `Вы не видите "${cmd.target}" здесь.`;
+    }
+
+    const containerName = game.colorize(container.name, 'item-name');
+    if (!container.key) {
+      return `У ${game.colorize(game.decline(container, 'genitive'), 'item-name')} нет замка.`;
+    }
+    if (!container.locked) {
+      return `${containerName} не заперт.`;
+    }
+
+    const key = game.player.inventory.find(item => item.templateId === game.world.getGlobalId(container.key, container.area));
+    if (!key) {
+      return `У вас нет ключа от ${game.colorize(game.decline(container, 'genitive'), 'item-name')}.`;
+    }
+
+    container.locked = false;
+    return `Вы отперли ${game.colorize(game.decline(container, 'accusative'), 'item-name')} ${game.colorize(game.decline(key, 'instrumental'), 'item-name')}.`;
+  }
+};
@@ -1,30 +1,37 @@
 export default {
   name: 'use',
   aliases: ['использовать'],
-  description: 'использовать предмет из инвентаря',
+  description: 'использовать предмет из инвентаря или умение (use <умение> [цель])',
 
   /**
    * @param {import('../GameEngine').GameEngine} game
    * @param {import('../classes/CommandManager').ParsedCommand} cmd
-   * @returns {string}
+   * @returns {string|Promise<string>}
    */
   execute(game, cmd) {
     if (!cmd.target) {
       return 'Что вы хотите использовать?';
     }
 
+    // Сначала проверяем, не умение ли это (например, "use kick крыса")
+    const skillInput = game.skillManager.parseSkillInput(cmd.target);
+    if (skillInput) {
+      return game.skillManager.useSkill(skillInput.skill.id, skillInput.target);
+    }
+
     const item = game.player.findItem(cmd.target);
     if (!item) {
-      return `У вас нет "${cmd.target}".`;
+      return `У вас нет "${cmd.target}".${game.suggestTargets(cmd.target, game.player.inventory)}`;
     }
 
     // Обработка зелий
     if (item.type === 'potion' && item.healAmount) {
       const healed = game.player.heal(item.healAmount);
       game.player.removeItem(item.globalId);
-      return `Вы выпили ${game.colorize(item.name, 'item-name')}. Восстановлено ${healed} HP.`;
+      game.world.destroyItemInstance(item.globalId);
+      return `Вы выпили ${game.colorize(game.decline(item, 'accusative'), 'item-name')}. Восстановлено ${healed} HP.`;
     }
 
-    return `Вы не знаете, как использовать ${game.colorize(item.name, 'item-name')}.`;
+    return `Вы не знаете, как использовать ${game.colorize(game.decline(item, 'accusative'), 'item-name')}.`;
   }
-};
\ No newline at end of file
+};
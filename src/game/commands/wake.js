@@ -0,0 +1,20 @@
+export default {
+  name: 'wake',
+  aliases: ['stand', 'встать', 'проснуться'],
+  description: 'проснуться и встать на ноги',
+
+  /**
+   * @param {import('../GameEngine').GameEngine} game
+   * @param {import('../classes/CommandManager').ParsedCommand} cmd
+   * @returns {string}
+   */
+  execute(game, cmd) {
+    const { player } = game;
+    if (!player.isResting()) {
+      return 'Вы уже стоите на ногах.';
+    }
+    const message = player.state === 'sleeping' ? 'Вы просыпаетесь и встаете.' : 'Вы встаете.';
+    player.state = 'idle';
+    return message;
+  }
+};
@@ -21,6 +21,9 @@ export const templates = {
       header: '{c:room-name}---[ Оценка: {name} ]--------{/c}',
       footer: '{c:room-name}------------------------------------{/c}',
       statsHeader: '{c:exit-name}Оценка сил:{/c}',
+      exactHp: '  ❤️ Здоровье противника: {c:combat-player-hp}{hp}/{maxHp}{/c}',
+      playerHitChance: '  Ваш шанс попадания: {c:combat-player-attack}{chance}%{/c}',
+      npcHitChance: '  Шанс попадания врага: {c:combat-npc-attack}{chance}%{/c}',
       playerDamage: '  Ваш урон/раунд (средний): {c:combat-player-attack}{damage}{/c}',
       npcDamage: '  Урон врага/раунд (средний): {c:combat-npc-attack}{damage}{/c}',
       roundsToWin: '  Раундов до победы: ~{c:combat-player-attack}{rounds}{/c}',
@@ -28,6 +31,13 @@ export const templates = {
       verdict: '\n{c:exit-name}Вердикт:{/c} {verdictText}',
       cantDamage: '  Вы не можете нанести урон.',
       npcCantDamage: '  Противник не может нанести урон. {c:combat-exp-gain}Легкая победа{/c}.',
+      lootHeader: '\n{c:exit-name}Возможная добыча:{/c}',
+      lootItem: '  {c:item-name}{name}{/c} ({chance}%)',
+      lootGold: '  💰 {c:exit-name}{min}-{max}{/c} золота',
+      lootNone: '  ничего',
+      guardHeader: '\n{c:exit-name}Не пропускает:{/c} {direction}. Чтобы пройти, нужно:',
+      guardRequirementMet: '  {c:combat-exp-gain}✔{/c} {text}',
+      guardRequirementUnmet: '  {c:combat-npc-attack}✘{/c} {text}',
     },
     compare: {
       header: '\n\n{c:exit-name}Сравнение с надетым{/c} ({c:item-name}{equippedItemName}{/c}):\n',
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { GameEngine } from '../GameEngine.js';
 
 // Интеграционные тесты для проверки полного цикла выполнения команд
@@ -56,8 +56,10 @@ describe('Интеграционные тесты команд', () => {
       result = await game.processCommand('get железный меч');
       expect(result).toBe('Вы взяли <span class="item-name">железный меч</span>.');
       expect(game.player.inventory.length).toBe(1);
-      expect(game.player.inventory[0].name).toBe('железный меч');
-      expect(game.getCurrentRoom().hasItem('midgard:iron_sword')).toBe(false);
+      const sword = game.player.inventory[0];
+      expect(sword.name).toBe('железный меч');
+      expect(sword.templateId).toBe('midgard:iron_sword');
+      expect(game.getCurrentRoom().hasItem(sword.globalId)).toBe(false);
 
       // 4. Проверяем инвентарь
       result = await game.processCommand('inventory');
@@ -67,7 +69,91 @@ describe('Интеграционные тесты команд', () => {
       result = await game.processCommand('drop меч');
       expect(result).toBe('Вы бросили <span class="item-name">железный меч</span>.');
       expect(game.player.inventory.length).toBe(0);
-      expect(game.getCurrentRoom().hasItem('midgard:iron_sword')).toBe(true);
+      expect(game.getCurrentRoom().hasItem(sword.globalId)).toBe(true);
+    });
+
+    it('каждая покупка должна создавать отдельный экземпляр предмета', async () => {
+      await game.processCommand('go восток');
+      const goldBefore = game.player.gold;
+      const price = game.world.items.get('midgard:healing_potion').value;
+
+      await game.processCommand('buy зелье');
+      await game.processCommand('buy зелье');
+
+      const [first, second] = game.player.inventory;
+      expect(game.player.inventory).toHaveLength(2);
+      expect(first.templateId).toBe('midgard:healing_potion');
+      expect(second.templateId).toBe('midgard:healing_potion');
+      expect(first.globalId).not.toBe(second.globalId);
+      expect(game.player.gold).toBe(goldBefore - 2 * price);
+
+      // Бросаем одно зелье - в инвентаре остается именно второе
+      await game.processCommand('drop зелье');
+      expect(game.player.inventory).toEqual([second]);
+      expect(game.getCurrentRoom().items).toContain(first.globalId);
+    });
+
+    it('должен выбирать предметы по номеру и все сразу через all', async () => {
+      await game.processCommand('go восток');
+      game.player.gold = 100;
+      await game.processCommand('buy зелье');
+      await game.processCommand('buy зелье');
+      const [, second] = game.player.inventory;
+
+      let result = await game.processCommand('drop 2.зелье');
+      expect(result).toBe('Вы бросили <span class="item-name">зелье лечения</span>.');
+      expect(game.getCurrentRoom().hasItem(second.globalId)).toBe(true);
+
+      result = await game.processCommand('get all');
+      expect(result.split('\n')).toHaveLength(2); // меч и зелье
+      expect(game.player.inventory).toHaveLength(3);
+
+      result = await game.processCommand('drop all.зелье');
+      expect(result.split('\n')).toEqual(Array(2).fill('Вы бросили <span class="item-name">зелье лечения</span>.'));
+      expect(game.player.inventory.map(item => item.name)).toEqual(['железный меч']);
+    });
+
+    it('должен находить цели по словам в любом падеже и склонять их в сообщениях', async () => {
+      await game.processCommand('go восток');
+
+      let result = await game.processCommand('look железного меча');
+      expect(result).toContain('Хорошо сбалансированный железный меч');
+      result = await game.processCommand('get меча');
+      expect(result).toBe('Вы взяли <span class="item-name">железный меч</span>.');
+      result = await game.processCommand('look продавца'); // ключевое слово торговца
+      expect(result).toContain(game.getNpc('merchant', 'midgard').description);
+
+      await game.processCommand('go запад');
+      await game.processCommand('go запад');
+      game.getNpc('stray_dog', 'midgard').specialAbilities = [];
+      game.getNpc('rat', 'midgard').hitPoints = 100; // крыса не должна погибнуть в первом же раунде
+      const messages = [];
+      game.onMessage = message => messages.push(message);
+      await game.processCommand('kill крысу');
+
+      expect(game.combatManager.npc.id).toBe('rat');
+      expect(messages[0]).toContain('Вы атакуете <span class="npc-name npc-hostile">крысу</span>!');
+      game.combatManager.stop();
+    });
+
+    it('должен сохранять экземпляры предметов, а не копии шаблонов', async () => {
+      await game.processCommand('go восток');
+      await game.processCommand('get меч');
+      const sword = game.player.inventory[0];
+      sword.enchantments.push('острота');
+
+      game.saveGame();
+      const saved = JSON.parse(localStorage.getItem('mudgame_save'));
+      expect(saved.player.inventory).toEqual([
+        { globalId: sword.globalId, templateId: 'midgard:iron_sword', durability: null, enchantments: ['острота'] },
+      ]);
+
+      await game.loadGame();
+      const loadedSword = game.player.inventory[0];
+      expect(loadedSword.globalId).toBe(sword.globalId);
+      expect(loadedSword.name).toBe('железный меч');
+      expect(loadedSword.enchantments).toEqual(['острота']);
+      expect(game.world.getItemInstance(sword.globalId)).toBe(loadedSword);
     });
 
     it('должен экипировать и снимать предмет', async () => {
@@ -89,6 +175,532 @@ describe('Интеграционные тесты команд', () => {
       expect(game.player.equippedWeapon).toBeNull();
       expect(game.player.inventory.length).toBe(1);
     });
+
+    it('номер экземпляра и название зоны не подходят к случайным предметам', async () => {
+      await game.processCommand('go восток');
+      const [swordId] = game.getCurrentRoom().items;
+      const instanceNumber = swordId.split('#')[1];
+
+      expect(await game.processCommand(`get ${instanceNumber}`)).toContain(`Вы не видите "${instanceNumber}" здесь.`);
+      expect(await game.processCommand('get midgard')).toContain('Вы не видите "midgard" здесь.');
+      expect(game.player.inventory).toHaveLength(0);
+
+      // Полный ID экземпляра по-прежнему находит предмет
+      await game.processCommand(`get ${swordId}`);
+      expect(game.player.inventory.map(item => item.globalId)).toEqual([swordId]);
+    });
+  });
+
+  describe('Опечатки и раскладка', () => {
+    it('должен выполнять команду, набранную не в той раскладке', async () => {
+      const result = await game.processCommand('ыефеы'); // stats
+      expect(result).toContain('Характеристики: Тестировщик');
+    });
+
+    it('должен подсказывать похожие команды', async () => {
+      const result = await game.processCommand('lok');
+      expect(result).toContain('Неизвестная команда: "lok".');
+      expect(result).toMatch(/Возможно, вы имели в виду: .*look/);
+    });
+
+    it('должен подсказывать похожие цели, в том числе набранные не в той раскладке', async () => {
+      await game.processCommand('go запад');
+
+      let result = await game.processCommand('look крыча');
+      expect(result).toBe('Вы не видите "крыча" здесь. Возможно, вы имели в виду: <span class="npc-name npc-hostile">крыса</span>?');
+
+      result = await game.processCommand('kill rhsce'); // "крысу" в английской раскладке
+      expect(result).toContain('Возможно, вы имели в виду: <span class="npc-name npc-hostile">крыса</span>?');
+    });
+  });
+
+  describe('Цепочки команд и маршруты', () => {
+    it('должен выполнять цепочку через ";" по одной команде за тик', async () => {
+      const messages = [];
+      game.onMessage = message => messages.push(message);
+
+      const result = await game.processCommand('go восток; get меч; equip меч');
+      expect(game.player.currentRoom).toBe('midgard:east_quarter');
+      expect(result).toContain('В очереди команд: 2');
+
+      await game.commandManager.runNextQueued();
+      await game.commandManager.runNextQueued();
+      expect(game.player.equippedWeapon.id).toBe('iron_sword');
+      expect(messages[0]).toContain('> get меч');
+      expect(game.commandManager.queue).toHaveLength(0);
+    });
+
+    it('должен разворачивать маршрут и повторять последнюю строку по "!"', async () => {
+      await game.processCommand('#2ю');
+      await game.commandManager.runNextQueued();
+      expect(game.player.currentRoom).toBe('midgard:temple');
+
+      await game.processCommand('.сс');
+      await game.commandManager.runNextQueued();
+      expect(game.player.currentRoom).toBe('midgard:center');
+
+      await game.processCommand('!');
+      expect(game.player.currentRoom).toBe('midgard:north_gate');
+      expect(game.commandManager.queue).toEqual(['go север']);
+
+      // Строка с точкой, которая не является маршрутом, разбирается как обычная команда
+      game.commandManager.clearQueue();
+      expect(await game.processCommand('.сx')).toContain('Неизвестная команда: ".сx".');
+      // Одиночная точка - это "ю", набранная в английской раскладке
+      expect(await game.processCommand('.')).toContain('Вы идете юг.');
+      expect(game.commandManager.queue).toEqual([]);
+    });
+
+    it('должен повторять команду по префиксу с числом и отменять очередь командой "stop"', async () => {
+      await game.processCommand('5 look');
+      expect(game.commandManager.queue).toHaveLength(4);
+
+      const result = await game.processCommand('stop');
+      expect(result).toBe('Вы останавливаетесь. Отменено команд: 4.');
+      expect(game.commandManager.queue).toHaveLength(0);
+    });
+
+    it('команда игрока выполняется сразу, не дожидаясь очереди, а остаток ее цепочки встает в конец', async () => {
+      await game.processCommand('#2ю');
+      expect(game.commandManager.queue).toEqual(['go юг']);
+
+      let result = await game.processCommand('stats');
+      expect(result).toContain('Характеристики: Тестировщик');
+      expect(result).toContain('В очереди команд: 1');
+
+      result = await game.processCommand('look; inventory');
+      expect(result).toContain('Южные ворота');
+      expect(game.commandManager.queue).toEqual(['go юг', 'inventory']);
+    });
+
+    it('тик не запускает следующую команду очереди, пока не закончилась предыдущая', async () => {
+      let finishStep;
+      const runNextQueued = vi.spyOn(game.commandManager, 'runNextQueued')
+        .mockReturnValueOnce(new Promise(resolve => { finishStep = resolve; }))
+        .mockRejectedValueOnce(new Error('сбой'));
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      game.tick();
+      game.tick();
+      expect(runNextQueued).toHaveBeenCalledTimes(1);
+
+      finishStep('');
+      await vi.waitFor(() => expect(game.tickManager.queuedCommandRunning).toBe(false));
+      game.tick();
+      await vi.waitFor(() => expect(game.tickManager.queuedCommandRunning).toBe(false));
+      expect(consoleError).toHaveBeenCalled();
+      expect(runNextQueued).toHaveBeenCalledTimes(2);
+      vi.restoreAllMocks();
+    });
+
+    it('должен прерывать очередь, когда начинается бой', async () => {
+      await game.processCommand('go запад');
+      game.getNpc('stray_dog', 'midgard').specialAbilities = [];
+      game.onMessage = () => {};
+
+      await game.processCommand('kill крыса; go восток');
+      const message = await game.commandManager.runNextQueued();
+
+      expect(message).toContain('Очередь команд прервана: начался бой.');
+      expect(game.player.currentRoom).toBe('midgard:west_quarter');
+      game.combatManager.stop();
+    });
+  });
+
+  describe('Прокладка пути', () => {
+    it('должен находить путь между зонами и загружать зоны по пути', async () => {
+      const path = await game.world.findPath('midgard:center', roomId => roomId === 'high_tower:laboratory');
+
+      expect(path.map(step => step.direction)).toEqual([
+        'север', 'наружу', 'вглубь земель', 'к башне', 'в башню', 'вверх', 'вверх', 'вверх',
+      ]);
+      expect(game.world.loadedAreaIds.has('high_tower')).toBe(true);
+      // Вершина закрыта запертой дверью
+      expect(await game.world.findPath('midgard:center', roomId => roomId === 'high_tower:summit')).toBeNull();
+    });
+
+    it('должен вести игрока по маршруту командой "travel"', async () => {
+      const result = await game.processCommand('travel храм');
+
+      expect(result).toContain('Вы отправляетесь в путь: Храм исцеления (шагов: 2).');
+      expect(game.player.currentRoom).toBe('midgard:south_gate');
+      await game.commandManager.runNextQueued();
+      expect(game.player.currentRoom).toBe('midgard:temple');
+
+      expect(await game.processCommand('путь храм')).toBe('Вы уже здесь.');
+      expect(await game.processCommand('travel атлантида')).toBe('Вы не знаете места под названием "атлантида".');
+    });
+
+    it('должен останавливать маршрут, когда на игрока нападают', async () => {
+      game.onMessage = () => {};
+      await game.processCommand('travel лаборатория');
+      while (game.commandManager.queue.length > 0) {
+        await game.commandManager.runNextQueued();
+      }
+
+      expect(game.player.currentRoom).toBe('wildlands:wolf_clearing');
+      expect(game.combatManager.npc.id).toBe('wolf');
+      game.combatManager.stop();
+    });
+  });
+
+  describe('Двери', () => {
+    beforeEach(async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:laboratory';
+    });
+
+    it('запертая дверь не пропускает, пока ее не отопрут ключом и не откроют', async () => {
+      expect(game.getCurrentRoom().getFullDescription(game)).toContain('вверх (окованная дверь, закрыто)');
+      expect(await game.processCommand('go вверх')).toBe('Проход вверх закрыт (окованная дверь).');
+      expect(await game.processCommand('open вверх')).toBe('Вы пытаетесь открыть <span class="item-name">окованную дверь</span>, но проход заперт.');
+      expect(await game.processCommand('unlock вверх')).toBe('У вас нет ключа от <span class="item-name">окованной двери</span>.');
+
+      game.player.addItem(game.world.createItemInstance('high_tower:summit_key'));
+      expect(await game.processCommand('unlock дверь')).toBe('Вы отперли <span class="item-name">окованную дверь</span> <span class="item-name">железным ключом</span>.');
+      expect(await game.processCommand('открыть вверх')).toBe('Вы открыли <span class="item-name">окованную дверь</span>.');
+      // С другой стороны та же дверь
+      expect(game.world.rooms.get('high_tower:summit').getDoor('вниз').state).toBe('open');
+
+      await game.processCommand('go вверх');
+      expect(game.player.currentRoom).toBe('high_tower:summit');
+      game.combatManager?.stop();
+
+      expect(await game.processCommand('lock вниз')).toBe('Сначала закройте <span class="item-name">окованную дверь</span>.');
+      await game.processCommand('close вниз');
+      expect(await game.processCommand('lock вниз')).toContain('Вы заперли');
+      expect(game.world.rooms.get('high_tower:laboratory').getDoor('вверх').state).toBe('locked');
+    });
+
+    it('маршрут открывает закрытые двери по пути', async () => {
+      game.player.currentRoom = 'high_tower:hall';
+      game.onMessage = () => {};
+
+      const result = await game.processCommand('travel библиотека');
+
+      expect(result).toContain('Вы открыли <span class="item-name">библиотечную дверь</span>.');
+      expect(game.commandManager.queue).toEqual(['go вверх']);
+      await game.commandManager.runNextQueued();
+      expect(game.player.currentRoom).toBe('high_tower:library');
+    });
+
+    it('должен сохранять состояние дверей и сбрасывать их к начальному', async () => {
+      game.world.setDoorState(game.getCurrentRoom(), 'вверх', 'open');
+      game.saveGame();
+      await game.loadGame();
+
+      expect(game.getCurrentRoom().getDoor('вверх').state).toBe('open');
+      expect(game.world.rooms.get('high_tower:summit').getDoor('вниз').state).toBe('open');
+
+      game.zoneResetManager.resetArea('high_tower');
+      expect(game.getCurrentRoom().getDoor('вверх').state).toBe('locked');
+    });
+  });
+
+  describe('Скрытые выходы и предметы', () => {
+    beforeEach(async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:hall';
+    });
+
+    it('команда "search" находит скрытый выход, и находка сохраняется', async () => {
+      expect(game.getCurrentRoom().getFullDescription(game)).not.toContain('за статую');
+      expect(await game.processCommand('go за статую')).toBe('Вы не можете пойти за статую отсюда.');
+      expect(game.getAvailableActions()[0].actions.map(action => action.command)).toContain('search');
+
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0.99);
+      const result = await game.processCommand('search');
+      random.mockRestore();
+
+      expect(result).toContain('Вы обнаружили скрытый выход: <span class="exit-name">за статую</span>!');
+      expect(game.getCurrentRoom().getFullDescription(game)).toContain('за статую');
+      expect(game.player.discoveredSecrets).toEqual(['high_tower:hall|за статую']);
+
+      game.saveGame();
+      await game.loadGame();
+      await game.processCommand('go за статую');
+      expect(game.player.currentRoom).toBe('high_tower:statue_alcove');
+    });
+
+    it('сидя, отдыхая или во сне обыскать комнату нельзя', async () => {
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0.99);
+      await game.processCommand('sit');
+
+      const result = await game.processCommand('search');
+      random.mockRestore();
+
+      expect(result).toBe(game.player.getRestingRefusal());
+      expect(game.player.discoveredSecrets).toEqual([]);
+    });
+
+    it('неудачный поиск ничего не находит, удачный достает спрятанный предмет', async () => {
+      game.player.currentRoom = 'high_tower:statue_alcove';
+      const room = game.getCurrentRoom();
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(await game.processCommand('обыскать')).toContain('Вы ничего не нашли.');
+      expect(room.items.map(id => game.world.getItemInstance(id).name)).toEqual(['зелье маны']);
+
+      random.mockReturnValue(0.99);
+      expect(await game.processCommand('обыскать')).toContain('Вы нашли <span class="item-name">серебряный амулет</span>!');
+      random.mockRestore();
+      expect(room.hiddenItems).toEqual([]);
+      expect(room.items.map(id => game.world.getItemInstance(id).name)).toEqual(['зелье маны', 'серебряный амулет']);
+    });
+
+    it('спрятанные предметы из старых сохранений не пропадают', async () => {
+      game.saveGame();
+      const saved = JSON.parse(localStorage.getItem('mudgame_save'));
+      // До появления поиска спрятанных предметов в сохранении не было
+      const alcoveState = saved.worldState.rooms['high_tower:statue_alcove'];
+      saved.worldState.items = saved.worldState.items.filter(item => !alcoveState.hiddenItems.includes(item.globalId));
+      delete alcoveState.hiddenItems;
+      // А в комнатах лежали ID шаблонов
+      saved.worldState.rooms['high_tower:hall'].hiddenItems = ['high_tower:silver_amulet'];
+      localStorage.setItem('mudgame_save', JSON.stringify(saved));
+
+      await game.loadGame();
+
+      const hiddenNames = roomId => game.world.rooms.get(roomId).hiddenItems.map(id => game.world.getItemInstance(id).name);
+      expect(hiddenNames('high_tower:statue_alcove')).toEqual(['серебряный амулет']);
+      expect(hiddenNames('high_tower:hall')).toEqual(['серебряный амулет']);
+    });
+  });
+
+  describe('Стражи выходов', () => {
+    beforeEach(async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:entrance';
+      // Горгулья в зале нападает на вошедших
+      game.getNpc('stone_gargoyle', 'high_tower').hitPoints = 0;
+    });
+
+    it('страж не пропускает слабого игрока и объясняет условие при оценке', async () => {
+      const result = await game.processCommand('go вверх');
+
+      expect(result).toContain('Страж башни опускает алебарду поперек лестницы');
+      expect(result).toContain('Чтобы пройти, нужно: уровень не ниже 4.');
+      expect(game.player.currentRoom).toBe('high_tower:entrance');
+      expect(await game.processCommand('consider страж')).toContain('✘</span> уровень не ниже 4');
+
+      game.player.level = 4;
+      await game.processCommand('go вверх');
+      expect(game.player.currentRoom).toBe('high_tower:hall');
+    });
+
+    it('страж берет плату за проход и не мешает, если погиб', async () => {
+      const room = game.getCurrentRoom();
+      room.getGuard('вверх').requires = { gold: 30 };
+      game.player.gold = 40;
+
+      expect(await game.processCommand('go вверх')).toContain('Вы платите <span class="npc-name npc-neutral">стражу башни</span> 30 золота. Путь свободен.');
+      expect(game.player.gold).toBe(10);
+
+      game.player.currentRoom = 'high_tower:entrance';
+      expect(await game.processCommand('go вверх')).toContain('заплатить 30 золота за проход');
+
+      game.getNpc('tower_guardian', 'high_tower').hitPoints = 0;
+      await game.processCommand('go вверх');
+      expect(game.player.currentRoom).toBe('high_tower:hall');
+      expect(game.player.gold).toBe(10);
+    });
+
+    it('флаг задания из разговора со стражем открывает проход', async () => {
+      Object.assign(game.getCurrentRoom().getGuard('вверх'), {
+        requires: { questFlag: 'tower_oath' },
+        questHint: 'принести клятву стражу',
+      });
+      game.getNpc('tower_guardian', 'high_tower').questTopics = [
+        { keyword: 'клянусь', reply: 'Клятва принята. Проходи.', questFlag: 'tower_oath' },
+      ];
+      expect(await game.processCommand('go вверх')).toContain('Чтобы пройти, нужно: принести клятву стражу.');
+
+      const result = await game.processCommand('say Клянусь хранить покой башни');
+
+      expect(result).toContain('говорит: <span class="npc-speech">"Клятва принята. Проходи."</span>');
+      expect(game.player.hasQuestFlag('tower_oath')).toBe(true);
+      await game.processCommand('go вверх');
+      expect(game.player.currentRoom).toBe('high_tower:hall');
+    });
+
+    it('сбежать из боя мимо стража нельзя - игрок убегает через свободный выход', async () => {
+      await game.processCommand('kill страж');
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+
+      const result = await game.processCommand('flee');
+      random.mockRestore();
+
+      expect(result).toContain('Вы в панике сбегаете');
+      expect(game.player.currentRoom).toBe('wildlands:tower_base');
+      expect(game.combatManager).toBeNull();
+    });
+
+    it('отпугивание не уводит игрока к стражу и не обрывает бой на месте', async () => {
+      await game.processCommand('kill страж');
+      const guardian = game.getNpc('tower_guardian', 'high_tower');
+      guardian.specialAbilities = [{ name: 'bark', chance: 1, message: 'Страж башни грозно рычит!' }];
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+
+      const result = await game.combatManager.performCombatRound();
+      random.mockRestore();
+
+      expect(result).toContain('Страж башни грозно рычит!');
+      expect(game.player.currentRoom).toBe('wildlands:tower_base');
+      expect(game.combatManager).toBeNull();
+    });
+  });
+
+  describe('Сброс зон', () => {
+    it('сброс зоны возрождает убитых NPC и возвращает взятые предметы', async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:hall';
+      const gargoyle = game.getNpc('stone_gargoyle', 'high_tower');
+      gargoyle.hitPoints = 1;
+      game.player.hitPoints = game.player.maxHitPoints = 500;
+
+      await game.processCommand('kill горгулья');
+      while (gargoyle.isAlive()) await game.combatManager.performCombatRound();
+      await game.processCommand('get посох');
+      expect(game.getCurrentRoom().hasNpc('stone_gargoyle')).toBe(false);
+
+      const messages = game.zoneResetManager.resetArea('high_tower');
+
+      expect(messages).toEqual(['<span class="combat-npc-death">каменная горгулья появляется из тени!</span>']);
+      expect(gargoyle.hitPoints).toBe(gargoyle.maxHitPoints);
+      expect(game.getCurrentRoom().hasNpc('stone_gargoyle')).toBe(true);
+      const staffs = () => game.getCurrentRoom().items.filter(id => id.startsWith('high_tower:magic_staff#'));
+      expect(staffs()).toHaveLength(1);
+      expect(game.player.findItem('посох')).toBeDefined();
+
+      // Повторный сброс только восполняет недостающее
+      game.zoneResetManager.resetArea('high_tower');
+      expect(staffs()).toHaveLength(1);
+    });
+
+    it('зона в режиме empty ждет, пока игрок уйдет, а в режиме always сбрасывается при нем', async () => {
+      await game.world.loadArea('wildlands');
+      game.player.currentRoom = 'midgard:east_quarter';
+      const eastQuarter = game.getCurrentRoom();
+      eastQuarter.removeItem(eastQuarter.items[0]);
+      game.zoneResetManager.ages.midgard = 299;
+
+      // Пока игрок в городе, взятые предметы не возвращаются, сколько бы он ни ждал
+      game.zoneResetManager.tick();
+      game.zoneResetManager.tick();
+      expect(eastQuarter.items).toHaveLength(0);
+
+      game.player.currentRoom = 'wildlands:wolf_clearing';
+      const wolf = game.getNpc('wolf', 'wildlands');
+      wolf.hitPoints = 0;
+      game.getCurrentRoom().removeNpc('wolf');
+      game.world.npcLocationMap.delete('wildlands:wolf');
+      game.zoneResetManager.ages.wildlands = 59;
+
+      const messages = game.zoneResetManager.tick();
+
+      expect(game.world.getItemInstance(eastQuarter.items[0]).templateId).toBe('midgard:iron_sword');
+      expect(game.zoneResetManager.ages.midgard).toBe(0);
+      expect(messages).toContain('<span class="combat-npc-death">волк появляется из тени!</span>');
+      expect(game.getCurrentRoom().hasNpc('wolf')).toBe(true);
+    });
+
+    it('возраст зон и экипировка NPC переживают сохранение', async () => {
+      await game.world.loadArea('wildlands');
+      const rules = game.world.areas.get('wildlands').reset;
+      game.world.areas.get('wildlands').reset = {
+        ...rules,
+        commands: [...rules.commands, { type: 'equip', npc: 'wolf', item: 'sharp_stone' }],
+      };
+      game.zoneResetManager.resetArea('wildlands');
+      game.zoneResetManager.ages.midgard = 50;
+
+      game.saveGame();
+      await game.loadGame();
+
+      expect(game.zoneResetManager.ages).toEqual({ midgard: 50, wildlands: 0 });
+      expect(game.getNpc('wolf', 'wildlands').equippedWeapon.templateId).toBe('wildlands:sharp_stone');
+    });
+  });
+
+  describe('Карта', () => {
+    const stripTags = text => text.replace(/<[^>]*>/g, '');
+
+    it('должен показывать только посещенные комнаты и их соседей', async () => {
+      let result = stripTags(await game.processCommand('map'));
+      expect(result.split('\n').slice(2, 7)).toEqual([
+        '    [?]',
+        '     |',
+        '[?]-[@]-[?]',
+        '     |',
+        '    [?]',
+      ]);
+
+      await game.processCommand('go юг');
+      result = stripTags(await game.processCommand('карта'));
+      expect(result.split('\n').slice(2, 9)).toEqual([
+        '    [?]',
+        '     |',
+        '[?]-[ ]-[?]',
+        '     |',
+        '    [@]',
+        '     |',
+        '    [?]',
+      ]);
+    });
+
+    it('должен показывать карту мира с уровнями зон и переходами между ними', async () => {
+      const { areas, links } = game.world.getWorldMap();
+      expect(areas.find(area => area.id === 'high_tower')).toMatchObject({ position: { x: 2, y: 1 }, levelRange: [4, 10] });
+      expect(links).toEqual(expect.arrayContaining([['midgard', 'wildlands'], ['high_tower', 'wildlands']]));
+      expect(links).toHaveLength(2);
+
+      const result = stripTags(await game.processCommand('map мир'));
+      expect(result).toContain('Мидгард (уровни 1-3) ← вы здесь');
+      expect(result).toContain('Высокая башня (уровни 4-10)\n    Переходы: Дикие земли');
+
+      expect(await game.processCommand('map башня')).toBe('Вы еще не были в зоне "Высокая башня".');
+    });
+
+    it('должен сохранять посещенные комнаты', async () => {
+      await game.processCommand('go восток');
+      game.saveGame();
+      await game.loadGame();
+
+      expect(game.player.visitedRooms).toEqual(['midgard:center', 'midgard:east_quarter']);
+      expect(game.world.getExploredRooms('midgard', game.player.visitedRooms).get('midgard:north_gate')).toBe('known');
+    });
+  });
+
+  describe('Псевдонимы игрока', () => {
+    it('должен подставлять аргументы в псевдоним и сохранять его вместе с персонажем', async () => {
+      let result = await game.processCommand('alias gg get $1; equip $1');
+      expect(result).toContain('get $1; equip $1');
+      await game.processCommand('alias в go запад'); // псевдоним игрока важнее встроенного "в"
+
+      await game.processCommand('в');
+      expect(game.player.currentRoom).toBe('midgard:west_quarter');
+
+      await game.processCommand('go восток; go восток');
+      await game.commandManager.runNextQueued();
+      await game.processCommand('gg меч');
+      await game.commandManager.runNextQueued();
+      expect(game.player.equippedWeapon.id).toBe('iron_sword');
+
+      game.saveGame();
+      await game.processCommand('unalias в');
+      expect(game.player.aliases).toEqual({ gg: 'get $1; equip $1' });
+
+      await game.loadGame();
+      expect(game.player.aliases).toEqual({ gg: 'get $1; equip $1', 'в': 'go запад' });
+      result = await game.processCommand('alias');
+      expect(result).toContain('go запад');
+    });
+
+    it('не должен позволять переопределить команду alias', async () => {
+      const result = await game.processCommand('alias alias look');
+      expect(result).toBe('Команду "alias" нельзя переопределить.');
+      expect(game.player.aliases).toEqual({});
+    });
   });
 
   describe('Информационные команды', () => {
@@ -113,6 +725,294 @@ describe('Интеграционные тесты команд', () => {
     });
   });
 
+  describe('Умения', () => {
+    it('должен восстанавливать выносливость умением "second_wind"', async () => {
+      game.player.skills.push('second_wind');
+      game.player.stamina = 10;
+
+      const result = await game.processCommand('second_wind');
+
+      expect(result).toContain('Восстановлено 50 выносливости');
+      expect(game.player.stamina).toBe(60);
+      expect(game.player.skillCooldowns.second_wind).toBe(120);
+    });
+
+    it('должен применять атакующее умение через "use <умение> <цель>" и начинать бой', async () => {
+      game.player.skills.push('kick');
+      await game.processCommand('go запад');
+      // Крит в первом раунде не должен убить крысу, а лай собаки - выгнать игрока из боя
+      const rat = game.getNpc('rat', 'midgard');
+      rat.hitPoints = rat.maxHitPoints = 100;
+      game.getNpc('stray_dog', 'midgard').specialAbilities = [];
+
+      await game.processCommand('use kick крыса');
+
+      expect(game.combatManager).not.toBeNull();
+      expect(game.player.stamina).toBe(90);
+      expect(game.player.skillCooldowns.kick).toBe(2);
+
+      game.combatManager.stop();
+    });
+
+    it('должен регистрировать команды умений из skills.json и проверять знание умения', async () => {
+      expect(game.commandManager.commands.has('power_strike')).toBe(true);
+      expect(game.commandManager.commands.has('parry')).toBe(false); // Пассивное умение
+
+      const result = await game.processCommand('удар крыса');
+      expect(result).toBe('Вы не знаете этого умения.');
+    });
+
+    it('команды power_strike и disarm выполняются общим путем SkillManager, а не отдельными обработчиками', async () => {
+      const useSkill = vi.spyOn(game.skillManager, 'useSkill').mockResolvedValue('');
+
+      await game.processCommand('power_strike крыса');
+      await game.processCommand('обезоружить крыса');
+
+      expect(useSkill).toHaveBeenNthCalledWith(1, 'power_strike', 'крыса');
+      expect(useSkill).toHaveBeenNthCalledWith(2, 'disarm', 'крыса');
+      vi.restoreAllMocks();
+    });
+
+    it('должен показывать точное здоровье противника с умением "improved_assessment"', async () => {
+      await game.processCommand('go запад');
+
+      let result = await game.processCommand('consider крыса');
+      expect(result).not.toContain('Здоровье противника');
+
+      game.player.skills.push('improved_assessment');
+      result = await game.processCommand('consider крыса');
+      expect(result).toContain('Здоровье противника');
+      expect(result).toContain('8/8');
+    });
+
+    it('должен учитывать шанс попадания при оценке противника', async () => {
+      await game.processCommand('go запад');
+
+      // Защита крысы 8, бонус атаки игрока 0: попадание на 8+ (65%)
+      const result = await game.processCommand('consider крыса');
+      expect(result).toContain('Ваш шанс попадания: <span class="combat-player-attack">65%</span>');
+      expect(result).toContain('Шанс попадания врага: <span class="combat-npc-attack">55%</span>');
+    });
+
+    it('должен показывать возможную добычу только после первого убийства', async () => {
+      await game.processCommand('go запад');
+
+      let result = await game.processCommand('consider собака');
+      expect(result).not.toContain('Возможная добыча');
+
+      game.player.recordKill('midgard:stray_dog');
+      result = await game.processCommand('consider собака');
+      expect(result).toContain('Возможная добыча');
+      expect(result).toContain('<span class="item-name">зелье лечения</span> (10%)');
+      expect(result).toContain('<span class="exit-name">0-3</span> золота');
+    });
+  });
+
+  describe('Эффекты', () => {
+    it('должен отнимать здоровье ядом каждый тик и показывать эффект в "stats"', async () => {
+      game.statusEffectManager.apply(game.player, 'poison', { duration: 2 });
+
+      let result = await game.processCommand('stats');
+      expect(result).toContain('Эффекты');
+      expect(result).toContain('Отравление');
+
+      game.tick();
+      expect(game.player.hitPoints).toBe(19);
+      const messages = game.tick();
+      expect(game.player.hitPoints).toBe(18);
+      expect(messages.join('\n')).toContain('Эффект "Отравление" закончился.');
+      expect(game.player.statusEffects).toHaveLength(0);
+    });
+
+    it('перезарядка и длительность эффектов на тиках показываются в секундах', async () => {
+      game.player.skills.push('blind_rage');
+      game.player.skillCooldowns.blind_rage = 4;
+      expect(await game.processCommand('ярость')).toContain('Умение "Слепая ярость" еще перезаряжается. Осталось: 4 сек.');
+
+      game.statusEffectManager.apply(game.player, 'poison');
+      expect(await game.processCommand('stats')).toContain('Отравление</span> (еще 6 сек.)');
+    });
+
+    it('умение "blind_rage" действует только в бою и не переживает сохранение', async () => {
+      game.player.skills.push('blind_rage');
+      expect(await game.processCommand('ярость')).toBe('"Слепая ярость" можно использовать только в бою.');
+      expect(game.player.hasStatusEffect('blind_rage')).toBe(false);
+
+      game.player.currentRoom = 'midgard:west_quarter';
+      // Лай вступившейся собаки может выгнать игрока из боя в первом же раунде
+      game.getNpc('stray_dog', 'midgard').specialAbilities = [];
+      const rat = game.getNpc('rat', 'midgard');
+      rat.hitPoints = rat.maxHitPoints = 1000;
+      await game.processCommand('kill крыса');
+      const result = await game.processCommand('ярость');
+      expect(result).toContain('Вы используете "Слепая ярость" на 3 раунд(а)');
+      expect(game.player.getEffectMultiplier('damageMultiplier')).toBe(1.25);
+
+      // Бой не сохраняется, поэтому и раундовый эффект не должен пережить загрузку
+      game.saveGame();
+      await game.loadGame();
+
+      expect(game.player.hasStatusEffect('blind_rage')).toBe(false);
+    });
+  });
+
+  describe('Трупы', () => {
+    it('убитый NPC оставляет труп, из которого можно взять добычу', async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:hall';
+      const gargoyle = game.getNpc('stone_gargoyle', 'high_tower');
+      gargoyle.hitPoints = 1;
+      game.player.hitPoints = game.player.maxHitPoints = 500;
+
+      await game.processCommand('kill горгулья');
+      // Первый раунд может закончиться промахом - добиваем вручную
+      while (gargoyle.isAlive()) await game.combatManager.performCombatRound();
+
+      let result = await game.processCommand('look труп');
+      expect(result).toContain('сердце голема');
+
+      result = await game.processCommand('get сердце труп');
+      expect(result).toContain('Вы взяли <span class="item-name">сердце голема</span> из');
+      expect(game.player.findItem('сердце')).toBeDefined();
+
+      result = await game.processCommand('get труп');
+      expect(result).toContain('Вы не можете взять');
+    });
+
+    it('труп распадается со временем, а его содержимое остается в комнате', async () => {
+      const potion = game.world.createItemInstance('midgard:healing_potion');
+      const corpse = game.world.createCorpse('крыса', [potion], 2);
+      game.getCurrentRoom().addItem(corpse.globalId);
+
+      game.tick();
+      expect(game.getCurrentRoom().hasItem(corpse.globalId)).toBe(true);
+      const messages = game.tick();
+
+      expect(messages).toContain('<span class="npc-dead">труп (крыса) рассыпается в прах.</span>');
+      expect(game.getCurrentRoom().hasItem(corpse.globalId)).toBe(false);
+      expect(game.getCurrentRoom().hasItem(potion.globalId)).toBe(true);
+    });
+
+    it('погибший игрок сразу оставляет труп с вещами, который переживает сохранение', async () => {
+      await game.processCommand('go восток');
+      await game.processCommand('get меч');
+      game.player.hitPoints = 1;
+      game.statusEffectManager.apply(game.player, 'poison');
+
+      const messages = game.tick();
+      expect(game.player.state).toBe('dead');
+      expect(messages.join('\n')).toContain('Ваши вещи остались в трупе (Восточный квартал).');
+      expect(game.player.inventory).toEqual([]);
+
+      // Сохранение, сделанное до возрождения, уже не держит вещи в сумке игрока
+      game.saveGame();
+      await game.loadGame();
+      expect(game.player.inventory).toEqual([]);
+
+      await game.processCommand('respawn');
+      expect(game.player.currentRoom).toBe('midgard:center');
+
+      const eastQuarter = game.world.rooms.get('midgard:east_quarter');
+      const corpse = eastQuarter.items.map(id => game.world.getItemInstance(id)).find(item => item.contents);
+      expect(corpse.name).toBe('труп (Тестировщик)');
+      expect(corpse.contents[0].name).toBe('железный меч');
+      // Труп появился в тот же тик, в который начался отсчет распада
+      expect(corpse.decayTimer).toBe(599);
+    });
+  });
+
+  describe('Контейнеры', () => {
+    it('put и get перекладывают предметы между инвентарем и сумкой', async () => {
+      game.player.gold = 100;
+      await game.processCommand('go восток');
+      await game.processCommand('buy сумка');
+      await game.processCommand('buy зелье');
+
+      let result = await game.processCommand('put зелье в сумку');
+      expect(result).toBe('Вы положили <span class="item-name">зелье лечения</span> в <span class="item-name">кожаную сумку</span>.');
+      expect(game.player.findItem('зелье')).toBeUndefined();
+
+      result = await game.processCommand('look в сумку');
+      expect(result).toContain('зелье лечения');
+
+      result = await game.processCommand('get зелье из сумки');
+      expect(result).toContain('Вы взяли <span class="item-name">зелье лечения</span> из');
+      expect(game.player.findItem('зелье')).toBeDefined();
+    });
+
+    it('запертый сундук открывается только ключом', async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:library';
+
+      let result = await game.processCommand('get свиток сундук');
+      expect(result).toBe('<span class="item-name">дубовый сундук</span> заперт.');
+      result = await game.processCommand('unlock сундук');
+      expect(result).toContain('У вас нет ключа');
+
+      game.player.addItem(game.world.createItemInstance('high_tower:library_key'));
+      result = await game.processCommand('unlock сундук');
+      expect(result).toContain('Вы отперли');
+
+      result = await game.processCommand('get зелье сундук');
+      expect(result).toContain('Вы взяли <span class="item-name">зелье маны</span> из');
+    });
+
+    it('содержимое контейнера переживает сохранение', async () => {
+      const bag = game.world.createItemInstance('midgard:leather_bag');
+      const sword = game.world.createItemInstance('midgard:iron_sword');
+      bag.contents.push(sword);
+      game.player.addItem(bag);
+
+      game.saveGame();
+      await game.loadGame();
+
+      const loadedBag = game.player.findItem('сумка');
+      expect(loadedBag.contents.map(item => item.globalId)).toEqual([sword.globalId]);
+      expect(game.player.getTotalWeight()).toBe(2 + 3 * 0.75);
+    });
+  });
+
+  describe('Отдых и восстановление', () => {
+    it('должен запрещать ходить во сне и разрешать после "wake"', async () => {
+      let result = await game.processCommand('sleep');
+      expect(result).toContain('засыпаете');
+      expect(game.player.state).toBe('sleeping');
+
+      result = await game.processCommand('go север');
+      expect(result).toContain('Сначала встаньте');
+      expect(game.player.currentRoom).toBe('midgard:center');
+
+      await game.processCommand('wake');
+      expect(game.player.state).toBe('idle');
+      await game.processCommand('go север');
+      expect(game.player.currentRoom).toBe('midgard:north_gate');
+    });
+
+    it('во сне нельзя применять умения, даже мирные вроде "recall"', async () => {
+      game.player.skills.push('recall');
+      game.player.currentRoom = 'midgard:north_gate';
+      await game.processCommand('sleep');
+
+      expect(await game.processCommand('возврат')).toContain('Сначала встаньте');
+      expect(await game.processCommand('use recall')).toContain('Сначала встаньте');
+      expect(game.player.currentRoom).toBe('midgard:north_gate');
+      expect(game.player.stamina).toBe(game.player.maxStamina);
+
+      await game.processCommand('wake');
+      await game.processCommand('возврат');
+      expect(game.player.currentRoom).toBe('midgard:center');
+    });
+
+    it('должен восстанавливать здоровье по тикам', async () => {
+      game.player.hitPoints = 5;
+      await game.processCommand('rest');
+
+      for (let i = 0; i < 5; i++) game.tick();
+
+      expect(game.player.hitPoints).toBe(7); // (1 + 0) * 2 за цикл отдыха
+    });
+  });
+
   describe('Команды боя', () => {
     it('должен начинать бой по команде "kill"', async () => {
       // Переходим в комнату с врагом
@@ -122,6 +1022,10 @@ describe('Интеграционные тесты команд', () => {
       // Убеждаемся, что боя нет
       expect(game.player.state).toBe('idle');
       expect(game.combatManager).toBeNull();
+      // Лай вступившейся собаки может выгнать игрока из боя в первом же раунде
+      game.getNpc('stray_dog', 'midgard').specialAbilities = [];
+      const rat = game.getNpc('rat', 'midgard');
+      rat.hitPoints = rat.maxHitPoints = 100;
 
       // Атакуем
       await game.processCommand('kill крыса');
@@ -136,5 +1040,82 @@ describe('Интеграционные тесты команд', () => {
       // Завершаем бой, чтобы не влиять на другие тесты
       game.combatManager.stop();
     });
+
+    it('должен втягивать в бой всех враждебных NPC комнаты и переключать цель командой "target"', async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:laboratory';
+      game.player.hitPoints = game.player.maxHitPoints = 500; // Чтобы первый раунд боя не оказался смертельным
+
+      await game.processCommand('kill доспехи');
+      expect(game.combatManager.opponents.map(npc => npc.id)).toEqual(['animated_armor', 'crazed_apprentice']);
+
+      let result = await game.processCommand('target');
+      expect(result).toContain('🎯 <span class="npc-name npc-hostile">ожившие доспехи</span>');
+
+      result = await game.processCommand('assist ученик');
+      expect(result).toContain('Вы переключаетесь на');
+      expect(game.combatManager.npc.id).toBe('crazed_apprentice');
+
+      game.combatManager.stop();
+    });
+
+    it('disarm выбивает оружие NPC на пол, и он бьет слабее', async () => {
+      await game.world.loadArea('high_tower');
+      game.player.currentRoom = 'high_tower:laboratory';
+      const armor = game.getNpc('animated_armor', 'high_tower');
+      expect(await game.processCommand('look доспехи')).toContain('Оружие: <span class="item-name">ржавый меч</span>');
+      expect(armor.getDamageDice()).toBe('1d10+1');
+
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      const result = game.skillManager.applyDebuff(game.skillsData.get('disarm'), armor);
+      vi.restoreAllMocks();
+
+      expect(result).toContain('<span class="item-name">ржавый меч</span> вылетает из рук <span class="npc-name npc-hostile">оживших доспехов</span>');
+      expect(armor.equippedWeapon).toBeNull();
+      expect(armor.getDamageDice()).toBe('1d4');
+      expect(game.getCurrentRoom().findItem('ржавый', game)).toMatch(/^high_tower:rusty_sword#/);
+      expect(await game.processCommand('look доспехи')).not.toContain('Экипировка');
+    });
+
+    it('агрессивный NPC должен нападать, когда игрок входит в комнату', async () => {
+      await game.world.loadArea('wildlands');
+      game.player.currentRoom = 'wildlands:road_to_midgard';
+
+      const result = await game.moveToRoom('wildlands:wolf_clearing');
+
+      expect(result.message).toContain('волк</span> нападает на вас!');
+      expect(game.player.state).toBe('fighting');
+      expect(game.combatManager.npc.id).toBe('wolf');
+
+      game.combatManager.stop();
+    });
+
+    it('агрессивный NPC не должен нападать на игрока вне диапазона уровней', async () => {
+      await game.world.loadArea('wildlands');
+      game.player.currentRoom = 'wildlands:road_to_midgard';
+      game.player.level = 6;
+
+      const result = await game.moveToRoom('wildlands:wolf_clearing');
+
+      expect(result.message).not.toContain('нападает на вас');
+      expect(game.player.state).toBe('idle');
+      expect(game.combatManager).toBeNull();
+    });
+
+    it('стражник должен прибегать на помощь атакованному горожанину', async () => {
+      await game.processCommand('go восток');
+      game.player.hitPoints = game.player.maxHitPoints = 500;
+
+      await game.processCommand('kill торговец');
+
+      expect(game.combatManager.opponents.map(npc => npc.id)).toEqual(['merchant', 'city_guard']);
+      expect(game.getCurrentRoom().npcs).toContain('city_guard');
+
+      // Вступившего в бой стражника можно атаковать
+      const result = await game.processCommand('target стражник');
+      expect(result).toContain('Вы переключаетесь на');
+
+      game.combatManager.stop();
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,68 @@
+/** Обозначения комнат на карте. */
+const SYMBOLS = {
+  current: '[@]',
+  visited: '[ ]',
+  known: '[?]',
+};
+
+/** Ширина клетки комнаты и промежутка между клетками в символах. */
+const CELL_WIDTH = SYMBOLS.visited.length;
+const COLUMN_STEP = CELL_WIDTH + 1;
+
+/**
+ * Текстовая карта исследованной части зоны для терминала. Комнаты расставляются по координатам `map`
+ * из JSON зоны, соседние связанные выходом комнаты соединяются линиями "-" и "|".
+ */
+export class AsciiMap {
+  /**
+   * Рисует карту.
+   * @param {Array<{id: string, x: number, y: number, state: 'visited'|'known', linkedTo: string[]}>} rooms -
+   *   Известные комнаты: ID, координаты, степень исследованности и ID комнат, в которые из нее ведут выходы.
+   * @param {string} currentRoomId - ID комнаты игрока.
+   * @param {(text: string, className: string) => string} colorize - Функция раскраски текста.
+   * @returns {string[]} Строки карты (пустой массив, если рисовать нечего).
+   */
+  static render(rooms, currentRoomId, colorize) {
+    if (rooms.length === 0) return [];
+    const minX = Math.min(...rooms.map(room => room.x));
+    const minY = Math.min(...rooms.map(room => room.y));
+    const width = (Math.max(...rooms.map(room => room.x)) - minX + 1) * COLUMN_STEP - 1;
+    const height = (Math.max(...rooms.map(room => room.y)) - minY + 1) * 2 - 1;
+
+    // Каждый элемент - один символ; клетка комнаты целиком лежит в первом символе, чтобы ее можно было раскрасить
+    const grid = Array.from({ length: height }, () => Array(width).fill(' '));
+    const roomsById = new Map(rooms.map(room => [room.id, room]));
+
+    for (const room of rooms) {
+      const column = (room.x - minX) * COLUMN_STEP;
+      const row = (room.y - minY) * 2;
+      const symbol = room.id === currentRoomId ? SYMBOLS.current : SYMBOLS[room.state];
+      const className = room.id === currentRoomId ? 'exit-name' : room.state === 'known' ? 'info-label' : 'room-name';
+      grid[row].splice(column, CELL_WIDTH, colorize(symbol, className), '', '');
+
+      for (const linkedId of room.linkedTo) {
+        const linked = roomsById.get(linkedId);
+        if (!linked) continue;
+        const dx = linked.x - room.x;
+        const dy = linked.y - room.y;
+        // Линии рисуются только между соседними клетками
+        if (Math.abs(dx) + Math.abs(dy) !== 1) continue;
+        if (dx !== 0) {
+          grid[row][column + (dx > 0 ? CELL_WIDTH : -1)] = '-';
+        } else {
+          grid[row + dy][column + 1] = '|';
+        }
+      }
+    }
+
+    return grid.map(line => line.join('').replace(/\s+$/, ''));
+  }
+
+  /**
+   * Возвращает строку с расшифровкой обозначений.
+   * @returns {string}
+   */
+  static legend() {
+    return `${SYMBOLS.current} - вы здесь, ${SYMBOLS.visited} - посещенная комната, ${SYMBOLS.known} - неисследованная комната`;
+  }
+}
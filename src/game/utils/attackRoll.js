@@ -0,0 +1,50 @@
+/**
+ * Утилита для броска атаки по правилам d20:
+ * атака попадает, если d20 + бонус атаки >= защиты цели.
+ * Натуральная 20 - всегда попадание и критический удар (двойной урон),
+ * натуральная 1 - всегда промах (неудача).
+ */
+export class AttackRoll {
+  /** Множитель урона при критическом ударе. */
+  static CRITICAL_MULTIPLIER = 2;
+
+  /**
+   * @param {number} attackBonus - Бонус атакующего.
+   * @param {number} defense - Защита цели.
+   */
+  constructor(attackBonus, defense) {
+    this.attackBonus = attackBonus;
+    this.defense = defense;
+  }
+
+  /**
+   * Бросает d20 и определяет исход атаки.
+   * @returns {{roll: number, hit: boolean, critical: boolean, fumble: boolean}}
+   */
+  roll() {
+    const roll = Math.floor(Math.random() * 20) + 1;
+    const critical = roll === 20;
+    const fumble = roll === 1;
+    const hit = critical || (!fumble && roll + this.attackBonus >= this.defense);
+    return { roll, hit, critical, fumble };
+  }
+
+  /**
+   * Рассчитывает вероятность попадания (от 0.05 до 0.95).
+   * @returns {number}
+   */
+  hitChance() {
+    // Броски 2..19 попадают, если roll >= defense - attackBonus; 20 попадает всегда
+    const minRoll = Math.min(20, Math.max(2, this.defense - this.attackBonus));
+    return (20 - minRoll + 1) / 20;
+  }
+
+  /**
+   * Рассчитывает долю среднего урона, которая в среднем доходит до цели,
+   * с учетом промахов и критических ударов.
+   * @returns {number}
+   */
+  expectedDamageFactor() {
+    return this.hitChance() + (AttackRoll.CRITICAL_MULTIPLIER - 1) / 20;
+  }
+}
@@ -0,0 +1,115 @@
+import { RussianMorphology } from './russianMorphology.js';
+
+/** Клавиши латинской раскладки QWERTY и русские буквы ЙЦУКЕН на тех же местах. */
+const LATIN_KEYS = "qwertyuiop[]asdfghjkl;'zxcvbnm,.`";
+const CYRILLIC_KEYS = 'йцукенгшщзхъфывапролджэячсмитьбюё';
+
+const LATIN_TO_CYRILLIC = new Map([...LATIN_KEYS].map((key, i) => [key, CYRILLIC_KEYS[i]]));
+const CYRILLIC_TO_LATIN = new Map([...CYRILLIC_KEYS].map((key, i) => [key, LATIN_KEYS[i]]));
+
+/**
+ * Нечеткое сравнение слов для подсказок "Возможно, вы имели в виду": расстояние редактирования
+ * (с перестановкой соседних букв - частой опечаткой при быстром наборе) и исправление
+ * неверной раскладки клавиатуры ("дщщл" - это "look", "kjjr" - это "лоок").
+ */
+export class FuzzyMatcher {
+  /** Сколько вариантов показывать в подсказке. */
+  static MAX_SUGGESTIONS = 3;
+
+  /**
+   * Допустимое число опечаток для слова: в коротких словах - одна, в длинных - две.
+   * @param {string} word
+   * @returns {number}
+   */
+  static maxDistance(word) {
+    return word.length <= 4 ? 1 : 2;
+  }
+
+  /**
+   * Расстояние редактирования между строками: вставки, удаления, замены и перестановки соседних символов.
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  static distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Переводит текст, набранный не в той раскладке: латиница становится кириллицей и наоборот.
+   * Символы, которых нет на буквенных клавишах, не меняются.
+   * @param {string} text
+   * @returns {string}
+   */
+  static switchLayout(text) {
+    return [...text.toLowerCase()]
+      .map(char => LATIN_TO_CYRILLIC.get(char) ?? CYRILLIC_TO_LATIN.get(char) ?? char)
+      .join('');
+  }
+
+  /**
+   * Подбирает похожие слова из списка кандидатов. Слово сравнивается как есть и в другой раскладке.
+   * @param {string} word - Введенное слово.
+   * @param {string[]} candidates - Известные слова (команды, псевдонимы).
+   * @returns {string[]} Похожие кандидаты, самые близкие - первыми.
+   */
+  static suggest(word, candidates) {
+    const variants = [word.toLowerCase(), FuzzyMatcher.switchLayout(word)];
+    return FuzzyMatcher._rank(candidates, candidate =>
+      Math.min(...variants.map(variant => FuzzyMatcher.distance(variant, candidate)))
+    , FuzzyMatcher.maxDistance(word));
+  }
+
+  /**
+   * Подбирает сущности (предметы, NPC), похожие на введенную цель.
+   * Каждое слово цели сравнивается со словами названия, падежных форм и ключевых слов сущности.
+   * @template {{name: string, keywords?: string[], forms?: object}} T
+   * @param {string} target - Введенная цель.
+   * @param {T[]} entities - Видимые игроку сущности.
+   * @returns {T[]} Похожие сущности без повторов названий, самые близкие - первыми.
+   */
+  static suggestEntities(target, entities) {
+    const variants = [target.toLowerCase(), FuzzyMatcher.switchLayout(target)].map(text => RussianMorphology.words(text));
+    if (variants[0].length === 0) return [];
+    const maxDistance = FuzzyMatcher.maxDistance(variants[0].join(' '));
+    const uniqueByName = [...new Map(entities.map(entity => [entity.name, entity])).values()];
+
+    return FuzzyMatcher._rank(uniqueByName, entity => {
+      const entityWords = [entity.name, ...(entity.keywords || []), ...Object.values(entity.forms || {})]
+        .flatMap(text => RussianMorphology.words(text));
+      // Расстояние цели - сумма расстояний ее слов до ближайших слов сущности
+      return Math.min(...variants.map(words => words.reduce((sum, word) =>
+        sum + Math.min(...entityWords.map(entityWord => FuzzyMatcher.distance(word, entityWord))), 0)));
+    }, maxDistance);
+  }
+
+  /**
+   * Оставляет кандидатов в пределах допустимого расстояния и сортирует их по близости.
+   * @template T
+   * @param {T[]} candidates
+   * @param {(candidate: T) => number} getDistance
+   * @param {number} maxDistance
+   * @returns {T[]}
+   * @private
+   */
+  static _rank(candidates, getDistance, maxDistance) {
+    return candidates
+      .map(candidate => ({ candidate, distance: getDistance(candidate) }))
+      .filter(({ distance }) => distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, FuzzyMatcher.MAX_SUGGESTIONS)
+      .map(({ candidate }) => candidate);
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Таблица добычи NPC. Описывается в JSON зоны полем `loot`:
+ * - `gold`: [мин, макс] - диапазон выпадающего золота;
+ * - `items`: независимые записи `{item, chance, quantity: [мин, макс]}`;
+ * - `groups`: группы `{chance, entries: [{item, weight, quantity}]}` - при срабатывании группы
+ *   выпадает ровно одна запись, выбранная с учетом весов.
+ * По умолчанию `chance` = 1, `quantity` = [1, 1], `weight` = 1.
+ */
+export class LootTable {
+  /**
+   * @param {object} [lootData={}] - Описание добычи из JSON зоны.
+   */
+  constructor(lootData = {}) {
+    /** @type {[number, number]} */
+    this.gold = lootData.gold || [0, 0];
+    this.items = lootData.items || [];
+    this.groups = lootData.groups || [];
+  }
+
+  /**
+   * Бросает кубики и определяет добычу.
+   * @returns {{items: string[], gold: number}} Локальные ID выпавших предметов (по одному на штуку) и золото.
+   */
+  roll() {
+    const items = [];
+    for (const entry of this.items) {
+      if (Math.random() < (entry.chance ?? 1)) {
+        items.push(...this._rollQuantity(entry));
+      }
+    }
+    for (const group of this.groups) {
+      if (Math.random() < (group.chance ?? 1)) {
+        const entry = this._pickWeighted(group.entries);
+        if (entry) items.push(...this._rollQuantity(entry));
+      }
+    }
+    return { items, gold: LootTable._randomInt(this.gold) };
+  }
+
+  /**
+   * Перечисляет все предметы, которые могут выпасть, с итоговой вероятностью.
+   * @returns {Array<{item: string, chance: number}>}
+   */
+  describe() {
+    const possible = this.items.map(entry => ({ item: entry.item, chance: entry.chance ?? 1 }));
+    for (const group of this.groups) {
+      const totalWeight = group.entries.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+      for (const entry of group.entries) {
+        possible.push({ item: entry.item, chance: (group.chance ?? 1) * (entry.weight ?? 1) / totalWeight });
+      }
+    }
+    return possible;
+  }
+
+  /**
+   * Проверяет, может ли выпасть хоть что-то.
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.items.length === 0 && this.groups.length === 0 && this.gold[1] <= 0;
+  }
+
+  /**
+   * Выбирает запись группы с учетом весов.
+   * @param {object[]} entries - Записи группы.
+   * @returns {object|null}
+   * @private
+   */
+  _pickWeighted(entries) {
+    const totalWeight = entries.reduce((sum, entry) => sum + (entry.weight ?? 1), 0);
+    let roll = Math.random() * totalWeight;
+    for (const entry of entries) {
+      roll -= entry.weight ?? 1;
+      if (roll < 0) return entry;
+    }
+    return entries[entries.length - 1] || null;
+  }
+
+  /**
+   * Определяет количество выпавших предметов записи.
+   * @param {{item: string, quantity?: [number, number]}} entry - Запись таблицы.
+   * @returns {string[]}
+   * @private
+   */
+  _rollQuantity(entry) {
+    return Array(LootTable._randomInt(entry.quantity || [1, 1])).fill(entry.item);
+  }
+
+  /**
+   * Случайное целое число в диапазоне [мин, макс] включительно.
+   * @param {[number, number]} range
+   * @returns {number}
+   * @private
+   */
+  static _randomInt([min, max]) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+  }
+}
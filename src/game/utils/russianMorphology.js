@@ -0,0 +1,86 @@
+/**
+ * Окончания падежей и чисел, которые отбрасываются при поиске основы слова.
+ * Отсортированы по убыванию длины, чтобы сначала срезалось самое длинное.
+ */
+const ENDINGS = [
+  'ями', 'ами', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими',
+  'ый', 'ий', 'ой', 'ей', 'ую', 'юю', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ых', 'их', 'ом', 'ем',
+  'ам', 'ям', 'ах', 'ях', 'ов', 'ев', 'ью', 'ья', 'ье',
+  'а', 'я', 'о', 'е', 'у', 'ю', 'ы', 'и', 'ь', 'й',
+];
+
+/** Основа короче этого не укорачивается: "меч" и "бок" остаются как есть. */
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Упрощенная морфология русского языка для поиска целей и построения сообщений.
+ * Поиск сравнивает основы слов, поэтому "меча", "крысу" и "стражника" находят
+ * "железный меч", "крыса" и "городской стражник". Точные формы для сообщений
+ * ("Вы атакуете крысу") берутся из поля `forms` сущности в JSON зоны:
+ * `{"genitive": "крысы", "dative": "крысе", "accusative": "крысу", "instrumental": "крысой", "prepositional": "крысе"}`.
+ * Дополнительные слова для поиска задаются полем `keywords`.
+ */
+export class RussianMorphology {
+  /** Падежи, которые можно указать в `forms`. Именительный падеж - это `name`. */
+  static CASES = ['nominative', 'genitive', 'dative', 'accusative', 'instrumental', 'prepositional'];
+
+  /**
+   * Отбрасывает падежное окончание слова.
+   * @param {string} word - Слово в нижнем регистре.
+   * @returns {string} Основа слова.
+   */
+  static stem(word) {
+    const normalized = word.replace(/ё/g, 'е');
+    // Беглая гласная: "продавец" - "продавца", "торговец" - "торговцу"
+    if (normalized.endsWith('ец') && normalized.length > MIN_STEM_LENGTH + 1) {
+      return normalized.slice(0, -2) + 'ц';
+    }
+    const ending = ENDINGS.find(candidate =>
+      normalized.endsWith(candidate) && normalized.length - candidate.length >= MIN_STEM_LENGTH
+    );
+    return ending ? normalized.slice(0, -ending.length) : normalized;
+  }
+
+  /**
+   * Разбивает текст на слова в нижнем регистре.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  static words(text) {
+    return text.toLowerCase().replace(/ё/g, 'е').split(/[^a-zа-я0-9_]+/).filter(Boolean);
+  }
+
+  /**
+   * Проверяет, подходит ли сущность под запрос игрока.
+   * Каждое слово запроса должно совпасть по основе или быть началом одного из слов
+   * названия, его падежных форм или ключевых слов. Локальный ID сущности (для предмета - ID шаблона)
+   * ищется как подстрока, а глобальный ID (`midgard:iron_sword#3`) должен совпасть целиком: иначе номер
+   * экземпляра или название зоны в запросе ("get 3", "look midgard") подходили бы к случайным предметам.
+   * @param {{name: string, id?: string, globalId?: string, keywords?: string[], forms?: object}} entity - Предмет или NPC.
+   * @param {string} query - Запрос игрока (например, "железного меча").
+   * @returns {boolean}
+   */
+  static matches(entity, query) {
+    const target = query.trim().toLowerCase();
+    if (!target) return true;
+    if (entity.id?.toLowerCase().includes(target) || entity.globalId?.toLowerCase() === target) return true;
+
+    const entityWords = [entity.name, ...(entity.keywords || []), ...Object.values(entity.forms || {})]
+      .flatMap(text => RussianMorphology.words(text));
+    return RussianMorphology.words(target).every(queryWord => {
+      const queryStem = RussianMorphology.stem(queryWord);
+      return entityWords.some(word => word.startsWith(queryWord) || RussianMorphology.stem(word) === queryStem);
+    });
+  }
+
+  /**
+   * Возвращает название сущности в нужном падеже.
+   * Если форма не задана в `forms`, возвращается название в именительном падеже.
+   * @param {{name: string, forms?: object}} entity - Предмет или NPC.
+   * @param {'nominative'|'genitive'|'dative'|'accusative'|'instrumental'|'prepositional'} grammaticalCase - Падеж.
+   * @returns {string}
+   */
+  static decline(entity, grammaticalCase) {
+    return entity.forms?.[grammaticalCase] ?? entity.name;
+  }
+}
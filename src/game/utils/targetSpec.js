@@ -0,0 +1,69 @@
+import { RussianMorphology } from './russianMorphology.js';
+
+/**
+ * Описание цели команды в стиле CircleMUD:
+ * - `крысу` - первая цель, в названии которой есть слово "крыса" в любом падеже (или часть ее ID);
+ * - `2.крыса` - вторая такая цель;
+ * - `all` - все цели, `all.зелье` - все цели со словом "зелье".
+ */
+export class TargetSpec {
+  /**
+   * @param {string} [targetString=''] - Цель, введенная игроком.
+   */
+  constructor(targetString = '') {
+    const target = targetString.trim().toLowerCase();
+    /** @type {boolean} Выбраны все подходящие цели. */
+    this.all = false;
+    /** @type {number} Порядковый номер цели среди подходящих (начиная с 1). */
+    this.index = 1;
+    /** @type {string} Ключевое слово для поиска. */
+    this.keyword = target;
+
+    const match = target.match(/^(all|все|\d+)(?:\.(.*))?$/);
+    if (!match) return;
+    const [, prefix, keyword] = match;
+    if (prefix === 'all' || prefix === 'все') {
+      this.all = true;
+      this.keyword = keyword || '';
+    } else if (keyword) {
+      this.index = parseInt(prefix, 10);
+      this.keyword = keyword;
+    }
+  }
+
+  /**
+   * Проверяет, подходит ли сущность под ключевое слово с учетом падежей (см. RussianMorphology).
+   * @param {{name: string, id?: string, globalId?: string, keywords?: string[], forms?: object}|null} entity - Предмет или NPC.
+   * @returns {boolean}
+   */
+  matches(entity) {
+    if (!entity) return false;
+    return RussianMorphology.matches(entity, this.keyword);
+  }
+
+  /**
+   * Выбирает цели из списка: все подходящие для `all`, иначе - одну с нужным порядковым номером.
+   * @template T
+   * @param {T[]} candidates - Кандидаты (сами сущности или их ID).
+   * @param {(candidate: T) => object|null} [resolve] - Получает сущность по кандидату (например, экземпляр по ID).
+   * @returns {T[]} Выбранные кандидаты.
+   */
+  select(candidates, resolve = candidate => candidate) {
+    const matching = candidates.filter(candidate => this.matches(resolve(candidate)));
+    if (this.all) return matching;
+    const selected = matching[this.index - 1];
+    return selected !== undefined ? [selected] : [];
+  }
+
+  /**
+   * Выбирает одну цель. Для `all` ничего не выбирает - такие команды должны использовать `select`.
+   * @template T
+   * @param {T[]} candidates - Кандидаты (сами сущности или их ID).
+   * @param {(candidate: T) => object|null} [resolve] - Получает сущность по кандидату.
+   * @returns {T|undefined}
+   */
+  selectOne(candidates, resolve) {
+    if (this.all) return undefined;
+    return this.select(candidates, resolve)[0];
+  }
+}
@@ -1,6 +1,7 @@
 import { defineStore } from 'pinia';
 import { reactive, computed, ref } from 'vue';
 import { GameEngine } from '../game/GameEngine.js';
+import { TriggerManager } from '../game/classes/TriggerManager.js';
 
 export const useGameStore = defineStore('game', () => {
   // --- State ---
@@ -9,9 +10,14 @@ export const useGameStore = defineStore('game', () => {
   const engine = reactive(new GameEngine());
 
   const player = reactive(engine.player);
+  /** @type {TriggerManager} Клиентские триггеры (хранятся в localStorage, а не в сохранении). */
+  const triggerManager = reactive(new TriggerManager());
   const messages = reactive([]);
   const gameStarted = ref(false);
+  /** Текущая цель игрока в бою. */
   const currentEnemy = ref(null);
+  /** Все противники в текущем бою (по убыванию угрозы). */
+  const currentEnemies = ref([]);
 
   let tickInterval = null;
   let autosaveInterval = null;
@@ -68,16 +74,48 @@ export const useGameStore = defineStore('game', () => {
   function _updateReactiveState() {
     Object.assign(player, engine.player);
     currentEnemy.value = engine.combatManager?.npc || null;
+    currentEnemies.value = engine.combatManager?.getOpponents() || [];
   }
 
   /**
-   * Добавляет сообщение или массив сообщений в лог.
+   * Добавляет сообщение или массив сообщений в лог, пропуская строки через триггеры.
    * @param {string|string[]} newMessages
+   * @param {{raw?: boolean}} [options] - `raw` - не применять триггеры (эхо введенной команды).
    */
-  function _addMessages(newMessages) {
+  function _addMessages(newMessages, { raw = false } = {}) {
     if (!newMessages) return;
     const messagesToAdd = Array.isArray(newMessages) ? newMessages : newMessages.split('\n');
-    messages.push(...messagesToAdd);
+    if (raw || !gameStarted.value) {
+      messages.push(...messagesToAdd);
+      return;
+    }
+
+    for (const message of messagesToAdd) {
+      const { line, commands, beep, warning } = triggerManager.process(message);
+      if (line !== null) messages.push(line);
+      if (warning) messages.push(engine.colorize(warning, 'combat-npc-attack'));
+      if (beep) _beep();
+      // Команды отправляются после вывода текущих сообщений, а не посреди него
+      commands.forEach(command => setTimeout(() => processCommand(command), 0));
+    }
+  }
+
+  /**
+   * Подает короткий звуковой сигнал для триггера.
+   * @private
+   */
+  function _beep() {
+    try {
+      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      const oscillator = audioContext.createOscillator();
+      oscillator.frequency.value = 880;
+      oscillator.connect(audioContext.destination);
+      oscillator.start();
+      oscillator.stop(audioContext.currentTime + 0.15);
+      oscillator.onended = () => audioContext.close();
+    } catch (error) {
+      console.warn('Звуковой сигнал недоступен:', error);
+    }
   }
 
   /**
@@ -110,8 +148,8 @@ export const useGameStore = defineStore('game', () => {
   async function processCommand(input) {
     if (!input) return;
 
-    _addMessages('\n ');
-    _addMessages(engine.colorize(`> ${input}`, 'user-input'));
+    _addMessages('\n ', { raw: true });
+    _addMessages(engine.colorize(`> ${input}`, 'user-input'), { raw: true });
 
     if (!gameStarted.value) {
       const [command, ...args] = input.split(/\s+/);
@@ -167,6 +205,39 @@ export const useGameStore = defineStore('game', () => {
       }
     };
     await engine.initializeWorld();
+    triggerManager.load();
+  }
+
+  /**
+   * Добавляет клиентский триггер.
+   * @param {{pattern: string, highlight?: string|null, gag?: boolean, beep?: boolean, command?: string|null}} options
+   * @returns {string|null} Текст ошибки или null.
+   */
+  function addTrigger(options) {
+    return triggerManager.add(options);
+  }
+
+  /**
+   * Удаляет клиентский триггер.
+   * @param {number} id
+   */
+  function removeTrigger(id) {
+    triggerManager.remove(id);
+  }
+
+  /**
+   * Включает или выключает клиентский триггер.
+   * @param {number} id
+   */
+  function toggleTrigger(id) {
+    triggerManager.toggle(id);
+  }
+
+  /**
+   * Возобновляет команды триггеров после защиты от зацикливания.
+   */
+  function resumeTriggers() {
+    triggerManager.resume();
   }
 
   return {
@@ -175,7 +246,9 @@ export const useGameStore = defineStore('game', () => {
     messages,
     gameStarted,
     currentEnemy,
+    currentEnemies,
     engine, // Экспортируем для доступа к skillsData и т.п.
+    triggerManager,
 
     // Getters
     currentRoom,
@@ -190,5 +263,9 @@ export const useGameStore = defineStore('game', () => {
     initialize,
     processCommand,
     moveToRoom,
+    addTrigger,
+    removeTrigger,
+    toggleTrigger,
+    resumeTriggers,
   };
 });
\ No newline at end of file